@@ -1,9 +1,14 @@
 const { BigQuery } = require('@google-cloud/bigquery');
-const axios = require('axios');
+const querystring = require('querystring');
+const { callSpApi } = require('./lib/sp-api-client');
+const { createRunId, mergeWithMovementLog } = require('./lib/stock-movement-log');
 
 const bigquery = new BigQuery();
 const datasetId = 'andcore_main';
 
+// 在庫移動ログ（stock_movement_log）に記録する実行元の関数名
+const SOURCE_FUNCTION = 'syncAmazonFBAInventory';
+
 // Amazon SP-API設定
 const MARKETPLACE_IDS = {
   JP: 'A1VC38T7YXB528',
@@ -13,76 +18,59 @@ const MARKETPLACE_IDS = {
 };
 
 const ENDPOINTS = {
-  JP: 'https://sellingpartnerapi-fe.amazon.com',
-  US: 'https://sellingpartnerapi-na.amazon.com',
-  CA: 'https://sellingpartnerapi-na.amazon.com',
-  MX: 'https://sellingpartnerapi-na.amazon.com'
+  JP: 'sellingpartnerapi-fe.amazon.com',
+  US: 'sellingpartnerapi-na.amazon.com',
+  CA: 'sellingpartnerapi-na.amazon.com',
+  MX: 'sellingpartnerapi-na.amazon.com'
 };
 
 /**
- * Amazon LWA Access Token取得
- */
-async function getAccessToken(clientId, clientSecret, refreshToken) {
-  try {
-    const response = await axios.post('https://api.amazon.com/auth/o2/token', {
-      grant_type: 'refresh_token',
-      refresh_token: refreshToken,
-      client_id: clientId,
-      client_secret: clientSecret
-    }, {
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-    });
-    
-    return response.data.access_token;
-  } catch (error) {
-    console.error('Access Token取得エラー:', error.response?.data || error.message);
-    throw error;
-  }
-}
-
-/**
- * FBA在庫データ取得
+ * FBA在庫データ取得（トークン取得・レート制限・再試行は共通クライアントで処理）
+ *
+ * スナップショットに無いSKUは在庫0にするため、nextToken で最後のページまで取得する
  */
-async function getFBAInventory(accessToken, marketplace, accountNum) {
+async function getFBAInventory(config, marketplace) {
   const marketplaceId = MARKETPLACE_IDS[marketplace];
-  const endpoint = ENDPOINTS[marketplace];
-  
-  const url = `${endpoint}/fba/inventory/v1/summaries`;
-  
+  const params = {
+    granularityType: 'Marketplace',
+    granularityId: marketplaceId,
+    marketplaceIds: marketplaceId
+  };
+
   try {
-    const response = await axios.get(url, {
-      headers: {
-        'x-amz-access-token': accessToken,
-        'Content-Type': 'application/json'
-      },
-      params: {
-        granularityType: 'Marketplace',
-        granularityId: marketplaceId,
-        marketplaceIds: marketplaceId
-      }
-    });
+    const inventorySummaries = [];
+    let nextToken = null;
+
+    do {
+      const response = await callSpApi(
+        config,
+        'getInventorySummaries',
+        'GET',
+        `/fba/inventory/v1/summaries?${querystring.stringify(nextToken ? { ...params, nextToken } : params)}`
+      );
+
+      inventorySummaries.push(...(response.payload?.inventorySummaries || []));
+      nextToken = response.pagination?.nextToken;
+    } while (nextToken);
     
-    console.log(`✅ FBA在庫取得成功 (${marketplace}):`, response.data.payload?.inventorySummaries?.length || 0, '件');
-    return response.data.payload?.inventorySummaries || [];
+    console.log(`✅ FBA在庫取得成功 (${marketplace}):`, inventorySummaries.length, '件');
+    return inventorySummaries;
     
   } catch (error) {
-    if (error.response?.status === 429) {
-      console.warn('⚠️ レート制限に達しました。60秒待機...');
-      await new Promise(resolve => setTimeout(resolve, 60000));
-      return getFBAInventory(accessToken, marketplace, accountNum);
-    }
-    console.error('FBA在庫取得エラー:', error.response?.data || error.message);
+    console.error('FBA在庫取得エラー:', error.message);
     throw error;
   }
 }
 
 /**
- * BigQueryに在庫データを保存（MERGE方式）
+ * BigQueryに在庫データを保存（MERGE方式、変化した在庫は stock_movement_log に記録）
+ * location の保存済み行のうち今回取得できなかったSKUは在庫0に更新
+ * 戻り値: 記録した在庫移動の件数
  */
-async function saveInventoryToBigQuery(inventoryData) {
+async function saveInventoryToBigQuery(inventoryData, location, runId) {
   if (inventoryData.length === 0) {
     console.log('⚠️ 保存する在庫データがありません');
-    return;
+    return 0;
   }
 
   const tempTableId = 'inventory_temp_amazon_' + Date.now();
@@ -122,8 +110,8 @@ async function saveInventoryToBigQuery(inventoryData) {
     console.log('⏳ 90秒待機中（ストリーミングバッファ対策）...');
     await new Promise(resolve => setTimeout(resolve, 90000));
     
-    // 4. MERGE実行
-    console.log('🔄 MERGE実行中...');
+    // 4. 在庫移動ログ記録 + MERGE実行（同じトランザクション）
+    console.log('🔄 在庫移動ログ記録・MERGE実行中...');
     const mergeQuery = `
       MERGE \`${datasetId}.inventory\` T
       USING (
@@ -163,14 +151,22 @@ async function saveInventoryToBigQuery(inventoryData) {
         )
     `;
     
-    const [job] = await bigquery.createQueryJob({ query: mergeQuery });
-    await job.getQueryResults();
+    const movements = await mergeWithMovementLog(bigquery, {
+      datasetId,
+      tempTableId,
+      mergeQuery,
+      sourceFunction: SOURCE_FUNCTION,
+      runId,
+      syncedLocations: [location]
+    });
     console.log('✅ MERGE完了');
     
     // 5. 一時テーブル削除
     await bigquery.dataset(datasetId).table(tempTableId).delete();
     console.log('🗑️ 一時テーブル削除完了');
     
+    return movements;
+    
   } catch (error) {
     console.error('❌ BigQuery保存エラー:', error);
     // エラー時も一時テーブルを削除
@@ -190,8 +186,11 @@ exports.syncAmazonFBAInventory = async (req, res) => {
   
   const accountNum = req.query.account || '1';
   const marketplace = req.query.marketplace || 'JP';
+  const location = `FBA-${marketplace}-${accountNum}`;
+  const runId = createRunId(SOURCE_FUNCTION);
   
   console.log(`📦 アカウント${accountNum} (${marketplace})`);
+  console.log('🆔 run_id:', runId);
   
   try {
     // 環境変数取得
@@ -204,14 +203,11 @@ exports.syncAmazonFBAInventory = async (req, res) => {
       throw new Error(`環境変数が設定されていません (アカウント${accountNum}, ${marketplace})`);
     }
     
-    // 1. Access Token取得
-    console.log('🔐 Access Token取得中...');
-    const accessToken = await getAccessToken(clientId, clientSecret, refreshToken);
-    console.log('✅ Access Token取得完了');
+    const config = { clientId, clientSecret, refreshToken, endpoint: ENDPOINTS[marketplace] };
     
-    // 2. FBA在庫データ取得
+    // 1. FBA在庫データ取得
     console.log('📦 FBA在庫データ取得中...');
-    const inventorySummaries = await getFBAInventory(accessToken, marketplace, accountNum);
+    const inventorySummaries = await getFBAInventory(config, marketplace);
     
     if (inventorySummaries.length === 0) {
       console.log('⚠️ 在庫データが0件でした');
@@ -225,7 +221,7 @@ exports.syncAmazonFBAInventory = async (req, res) => {
       return;
     }
     
-    // 3. データ整形
+    // 2. データ整形
     console.log('🔄 データ整形中...');
     const inventoryData = inventorySummaries.map(item => {
       const sku = item.sellerSku || item.fnSku;
@@ -235,7 +231,7 @@ exports.syncAmazonFBAInventory = async (req, res) => {
       return {
         sku: sku,
         asin: asin,
-        location: `FBA-${marketplace}-${accountNum}`,
+        location: location,
         location_type: 'FBA',
         available_quantity: item.totalQuantity || 0,
         reserved_quantity: item.reservedQuantity?.totalReservedQuantity || 0,
@@ -248,18 +244,20 @@ exports.syncAmazonFBAInventory = async (req, res) => {
     
     console.log(`✅ データ整形完了: ${inventoryData.length}件`);
     
-    // 4. BigQueryに保存
+    // 3. BigQueryに保存
     console.log('💾 BigQueryに保存中...');
-    await saveInventoryToBigQuery(inventoryData);
+    const stockMovements = await saveInventoryToBigQuery(inventoryData, location, runId);
     console.log('✅ BigQuery保存完了');
     
-    // 5. 完了レスポンス
+    // 4. 完了レスポンス
     const response = {
       success: true,
       message: 'Amazon FBA在庫同期完了',
       account: accountName,
       marketplace: marketplace,
       inventoryCount: inventoryData.length,
+      stockMovements: stockMovements,
+      runId: runId,
       timestamp: new Date().toISOString()
     };
     
@@ -3,32 +3,205 @@
  * 
  * 機能:
  * - Reports APIで大量の注文データを高速取得
+ * - Orders APIで更新分を準リアルタイム取得（source=orders_api）
  * - BigQueryに保存（重複回避）
- * - マルチアカウント対応
- * - 文字エンコーディング対応（Shift-JIS/UTF-8）
+ * - マルチアカウント対応（account=all / marketplace=all で一括同期）
+ * - SP-API呼び出しは共通クライアント（sp-api-client）経由（トークンキャッシュ・レート制限・再試行）
+ * - 文字エンコーディング対応（Content-Typeのcharset優先、未指定時はUTF-8/Windows-31J自動判定）
+ * - GZIP圧縮レポート対応
  * - 配送先情報取得（都道府県・市区町村）
+ * - 差分同期（sync_stateに前回成功時のdataEndTimeを記録）
+ * - 手数料同期（syncAmazonSettlementReports: ペイメントレポート → order_fees）
+ * - 返品同期（syncAmazonReturnsReports: FBA/自社出荷返品レポート → order_returns）
+ * - 出荷同期（syncAmazonShipmentsReports: FBA出荷レポート → order_shipments、出荷日・出荷数量を反映）
  * 
  * 環境変数:
  * - AMAZON_JP_CLIENT_ID_1, AMAZON_JP_CLIENT_SECRET_1, AMAZON_JP_REFRESH_TOKEN_1
  * - ACCOUNT_NAME_1
  * 
  * パラメータ:
- * - days_back: 取得する過去日数（デフォルト: 30）
- * - account: アカウント番号（1, 2, 3...、デフォルト: 1）
- * - marketplace: JP, US, CA, MX（デフォルト: JP）
+ * - days_back: 取得する過去日数（指定時はバックフィル。未指定時はsync_stateから差分取得、
+ *   sync_state未登録時のみ30日）
+ * - overlap_hours: 差分取得時に前回終了時刻から遡る時間（デフォルト: 24）
+ * - ledger: true でレポートジョブ台帳モード（作成リクエストと取得を複数回の実行に分割）
+ * - source: orders_api でOrders API（LastUpdatedAfter）から更新分を取得（準リアルタイム用）
+ * - account: アカウント番号（1, 2, 3...、all で設定済み全アカウント、デフォルト: 1）
+ * - marketplace: JP, US, CA, MX（all で全マーケットプレイス、デフォルト: JP）
  */
 
 const functions = require('@google-cloud/functions-framework');
 const { BigQuery } = require('@google-cloud/bigquery');
 const https = require('https');
 const querystring = require('querystring');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
 const iconv = require('iconv-lite');
+const { callSpApi } = require('./lib/sp-api-client');
 
 const bigquery = new BigQuery();
 const datasetId = 'andcore_main';
 const tempTableId = 'orders_temp_amazon';
 const ordersTableId = 'orders';
 const orderItemsTableId = 'order_items';
+const syncStateTableId = 'sync_state';
+const orderFeesTableId = 'order_fees';
+const orderReturnsTableId = 'order_returns';
+const reportJobsTableId = 'report_jobs';
+const orderStatusHistoryTableId = 'order_status_history';
+const salesOrdersViewId = 'sales_orders';
+const orderShipmentsTableId = 'order_shipments';
+
+// 差分同期設定
+const SYNC_TYPE_ORDERS = 'orders_report';
+const SYNC_TYPE_SETTLEMENT = 'settlement_report';
+const SYNC_TYPE_RETURNS = 'returns_report';
+const SYNC_TYPE_ORDERS_API = 'orders_api';
+const SYNC_TYPE_SHIPMENTS = 'shipments_report';
+const DEFAULT_DAYS_BACK = 30;
+const DEFAULT_OVERLAP_HOURS = 24;
+
+// レポート種別
+const ORDERS_REPORT_TYPE = 'GET_FLAT_FILE_ALL_ORDERS_DATA_BY_ORDER_DATE_GENERAL';
+const SETTLEMENT_REPORT_TYPE = 'GET_V2_SETTLEMENT_REPORT_DATA_FLAT_FILE_V2';
+const FBA_RETURNS_REPORT_TYPE = 'GET_FBA_FULFILLMENT_CUSTOMER_RETURNS_DATA';
+const MFN_RETURNS_REPORT_TYPE = 'GET_FLAT_FILE_RETURNS_DATA_BY_RETURN_DATE';
+const FBA_SHIPMENTS_REPORT_TYPE = 'GET_AMAZON_FULFILLED_SHIPMENTS_DATA_GENERAL';
+
+// ペイメントレポートのcreatedSinceは最大90日前まで
+const SETTLEMENT_MAX_DAYS_BACK = 90;
+
+// レポートヘッダーの別名（正規化後の名前 → 正規のフィールド名）
+// 正規化: BOM除去・小文字化・空白/アンダースコアをハイフンに置換
+const ORDERS_HEADER_ALIASES = {
+  'amazon-order-id': ['order-id', '注文番号'],
+  'order-item-id': ['注文商品番号'],
+  'purchase-date': ['購入日'],
+  'order-status': ['注文ステータス'],
+  'item-status': ['商品ステータス'],
+  'sku': ['seller-sku', 'merchant-sku', '出品者sku'],
+  'product-name': ['商品名'],
+  'quantity-purchased': ['quantity', '数量'],
+  'currency': ['通貨'],
+  'item-price': ['商品価格'],
+  'item-tax': ['商品税'],
+  'shipping-price': ['配送料'],
+  'buyer-name': ['購入者名'],
+  'recipient-name': ['お届け先氏名'],
+  'ship-state': ['ship-state-or-region', 'ship-region', '都道府県'],
+  'ship-city': ['市区町村'],
+  'ship-postal-code': ['ship-zip', '郵便番号']
+};
+
+// Orders API設定（source=orders_api）
+const ORDERS_API_DEFAULT_DAYS_BACK = 1;       // sync_state未登録時の取得日数
+const ORDERS_API_OVERLAP_HOURS = 1;           // 差分取得時の重複取得時間
+const ORDERS_API_TIME_BUDGET_MS = 300000;     // 取得に使う時間（残りは90秒待機とMERGE用）
+
+// レポートジョブ台帳設定（ledger=true）
+const LEDGER_MAX_REQUESTS_PER_RUN = 10;   // createReportのバースト上限(15)未満に抑える
+const LEDGER_MAX_ATTEMPTS = 3;            // FATAL時の再リクエスト上限
+const LEDGER_FAILED_RETRY_HOURS = 6;      // FAILEDのジョブを再リクエストするまでの時間
+const LEDGER_TIME_BUDGET_MS = 300000;     // ダウンロードに使う時間（残りは90秒待機とMERGE用）
+
+// report_jobsスキーマ
+const REPORT_JOBS_SCHEMA = [
+  { name: 'job_id', type: 'STRING' },
+  { name: 'batch_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'report_type', type: 'STRING' },
+  { name: 'data_start_time', type: 'TIMESTAMP' },
+  { name: 'data_end_time', type: 'TIMESTAMP' },
+  { name: 'status', type: 'STRING' },        // PENDING → REQUESTED → COMPLETED / FAILED（一定時間後にPENDINGへ戻す）
+  { name: 'report_id', type: 'STRING' },
+  { name: 'attempts', type: 'INT64' },
+  { name: 'error', type: 'STRING' },
+  { name: 'created_at', type: 'TIMESTAMP' },
+  { name: 'updated_at', type: 'TIMESTAMP' }
+];
+
+// 割引・ギフト包装の列（orders / order_items に無ければ追加）
+const ORDERS_DISCOUNT_COLUMNS = [
+  { name: 'discount_amount', type: 'FLOAT64' },           // 商品プロモーション割引
+  { name: 'shipping_discount_amount', type: 'FLOAT64' },  // 配送料プロモーション割引
+  { name: 'gift_wrap_amount', type: 'FLOAT64' },
+  { name: 'gift_wrap_tax_amount', type: 'FLOAT64' }
+];
+const ORDER_ITEMS_DISCOUNT_COLUMNS = [
+  { name: 'discount_amount', type: 'FLOAT64' },
+  { name: 'gift_wrap_amount', type: 'FLOAT64' }
+];
+
+// キャンセル判定用の列（orders に無ければ追加）
+const ORDERS_STATUS_COLUMNS = [
+  { name: 'is_cancelled', type: 'BOOL' }
+];
+
+// order_status_historyスキーマ（ステータスが変わった時のみ1行追加）
+const ORDER_STATUS_HISTORY_SCHEMA = [
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'account_name', type: 'STRING' },
+  { name: 'previous_status', type: 'STRING' },  // 新規注文はNULL
+  { name: 'new_status', type: 'STRING' },
+  { name: 'changed_at', type: 'TIMESTAMP' }     // 変化を検知した同期の時刻
+];
+
+// order_shipmentsスキーマ（出荷明細単位）
+const ORDER_SHIPMENTS_SCHEMA = [
+  { name: 'shipment_line_id', type: 'STRING' },  // 'FBA-{shipment-item-id}'
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'line_item_id', type: 'STRING' },
+  { name: 'shipment_id', type: 'STRING' },
+  { name: 'sku', type: 'STRING' },
+  { name: 'quantity', type: 'INT64' },
+  { name: 'shipment_date', type: 'TIMESTAMP' },
+  { name: 'carrier', type: 'STRING' },
+  { name: 'tracking_number', type: 'STRING' },
+  { name: 'fulfillment_type', type: 'STRING' },  // 'FBA'
+  { name: 'created_at', type: 'TIMESTAMP' }
+];
+
+// 不正行としてレスポンスに含めるサンプル件数
+const MAX_REJECTED_SAMPLES = 20;
+
+// エンコーディング自動判定に使うバイト数（最初の非ASCIIバイトから）
+const ENCODING_SNIFF_BYTES = 4096;
+
+// order_feesスキーマ
+const ORDER_FEES_SCHEMA = [
+  { name: 'fee_line_id', type: 'STRING' },
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'line_item_id', type: 'STRING' },
+  { name: 'sku', type: 'STRING' },
+  { name: 'settlement_id', type: 'STRING' },
+  { name: 'transaction_type', type: 'STRING' },
+  { name: 'amount_type', type: 'STRING' },
+  { name: 'amount_description', type: 'STRING' },
+  { name: 'amount', type: 'FLOAT64' },
+  { name: 'currency', type: 'STRING' },
+  { name: 'quantity', type: 'INT64' },
+  { name: 'posted_date', type: 'TIMESTAMP' },
+  { name: 'created_at', type: 'TIMESTAMP' }
+];
+
+// order_returnsスキーマ
+const ORDER_RETURNS_SCHEMA = [
+  { name: 'return_id', type: 'STRING' },
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'sku', type: 'STRING' },
+  { name: 'asin', type: 'STRING' },
+  { name: 'product_name', type: 'STRING' },
+  { name: 'return_date', type: 'TIMESTAMP' },
+  { name: 'quantity', type: 'INT64' },
+  { name: 'reason', type: 'STRING' },
+  { name: 'disposition', type: 'STRING' },
+  { name: 'status', type: 'STRING' },
+  { name: 'fulfillment_type', type: 'STRING' },
+  { name: 'created_at', type: 'TIMESTAMP' }
+];
 
 // マーケットプレイス設定
 const MARKETPLACES = {
@@ -55,118 +228,147 @@ functions.http('syncAmazonOrdersReports', async (req, res) => {
   
   try {
     // パラメータ取得
-    const daysBack = parseInt(req.query.days_back) || 30;
-    const accountNum = parseInt(req.query.account) || 1;
-    const marketplace = (req.query.marketplace || 'JP').toUpperCase();
-
-    console.log(`=== Amazon注文同期開始（Reports API）===`);
-    console.log(`アカウント: ${accountNum}, マーケットプレイス: ${marketplace}, 過去: ${daysBack}日`);
+    const daysBack = parseInt(req.query.days_back) || null;
+    const overlapHours = parseInt(req.query.overlap_hours) || DEFAULT_OVERLAP_HOURS;
+    const useOrdersApi = req.query.source === 'orders_api';
+    const useLedger = req.query.ledger === 'true' && !useOrdersApi;
+    const { accountParam, marketplaceParam, isFanOut, targets } = resolveTargets(req.query);
 
-    // 環境変数取得
-    const config = getAccountConfig(accountNum, marketplace);
+    console.log(`=== Amazon注文同期開始（${useOrdersApi ? 'Orders API' : 'Reports API'}${useLedger ? '、台帳モード' : ''}）===`);
+    console.log(`アカウント: ${accountParam}, マーケットプレイス: ${marketplaceParam}, 過去: ${daysBack ? `${daysBack}日` : '差分'}`);
     
-    // 日付範囲計算
+    // 日付範囲計算（全アカウント共通の終了時刻）
     const endDate = new Date();
     endDate.setMinutes(endDate.getMinutes() - 2);
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - daysBack);
 
-    console.log(`期間: ${startDate.toISOString()} - ${endDate.toISOString()}`);
+    // 台帳モードでMERGE後に完了にするジョブ（channel → { batchId, jobIds }）
+    const ledgerJobs = new Map();
 
-    // 30日ごとに分割
-    const allOrders = [];
-    let currentStart = new Date(startDate);
-    
-    while (currentStart < endDate) {
-      let currentEnd = new Date(currentStart);
-      currentEnd.setDate(currentEnd.getDate() + 30);
-      
-      if (currentEnd > endDate) {
-        currentEnd = endDate;
+    // アカウントごとにレポート取得
+    const { rows: allOrders, results, succeeded } = await fetchForTargets(targets, isFanOut, async (config) => {
+      if (useOrdersApi) {
+        const { startDate, mode } = await resolveStartDate(
+          config.channel,
+          daysBack,
+          parseInt(req.query.overlap_hours) || ORDERS_API_OVERLAP_HOURS,
+          SYNC_TYPE_ORDERS_API,
+          ORDERS_API_DEFAULT_DAYS_BACK
+        );
+        console.log(`更新日時: ${startDate.toISOString()} - ${endDate.toISOString()} (${mode})`);
+
+        const { rows, syncedUntil, complete } = await fetchOrdersFromOrdersApi(config, startDate, endDate, startTime);
+
+        return {
+          rows,
+          mode,
+          complete,
+          period: {
+            start: startDate.toISOString(),
+            end: syncedUntil.toISOString()
+          }
+        };
       }
-      
-      console.log(`分割取得: ${currentStart.toISOString()} - ${currentEnd.toISOString()}`);
-      
-      // Access Token取得
-      console.log('Access Token取得中...');
-      const accessToken = await getAccessToken(config);
-
-      // レポート作成リクエスト
-      console.log('レポート作成リクエスト中...');
-      const reportId = await createReport(config, accessToken, currentStart, currentEnd);
-      console.log(`レポートID: ${reportId}`);
-
-      // レポート完成を待つ
-      console.log('レポート生成待機中...');
-      const documentId = await waitForReport(config, accessToken, reportId);
-      console.log(`ドキュメントID: ${documentId}`);
-
-      // レポートダウンロード
-      console.log('レポートダウンロード中...');
-      const reportData = await downloadReport(config, accessToken, documentId);
-      console.log(`レポートサイズ: ${reportData.length}バイト`);
-
-      // TSVパース
-      console.log('レポート解析中...');
-      const orders = parseReportData(reportData, config);
-      console.log(`この期間の注文数: ${orders.length}`);
-      
-      allOrders.push(...orders);
-      
-      // 次の期間へ（1秒後から開始）
-      currentStart = new Date(currentEnd);
-      currentStart.setSeconds(currentStart.getSeconds() + 1);
-      
-      // レート制限対策（次のレポートまで5秒待機）
-      if (currentStart < endDate) {
-        console.log('次の期間取得まで5秒待機...');
-        await sleep(5000);
+
+      if (useLedger) {
+        const { batchId, completedJobIds, ...summary } = await processReportJobs(config, {
+          daysBack, overlapHours, endDate, startTime
+        });
+        ledgerJobs.set(config.channel, { batchId, jobIds: completedJobIds });
+        return summary;
       }
-    }
+
+      const { startDate, mode } = await resolveStartDate(config.channel, daysBack, overlapHours, SYNC_TYPE_ORDERS);
+      console.log(`期間: ${startDate.toISOString()} - ${endDate.toISOString()} (${mode})`);
+
+      const { rows, errors, encodings } = await fetchReportsByPeriod(config, startDate, endDate, ORDERS_REPORT_TYPE, parseReportData);
+
+      return {
+        rows,
+        mode,
+        encodings,
+        rejected: summarizeRejected(errors),
+        period: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        }
+      };
+    });
 
     console.log(`全期間の合計注文数: ${allOrders.length}`);
 
-    if (allOrders.length === 0) {
-      console.log('新しい注文はありません');
-      res.json({
-        success: true,
-        message: '新しい注文はありません',
-        orders_count: 0,
-        execution_time: `${(Date.now() - startTime) / 1000}秒`
-      });
-      return;
-    }
+    let stats = null;
 
-    // ステップ5: 一時テーブル作成
-    await createTempTable();
+    if (allOrders.length > 0) {
+      // ステップ5: 一時テーブル作成
+      await createTempTable();
 
-    // ステップ6: 一時テーブルに挿入
-    await insertToTempTable(allOrders);
+      // ステップ6: 一時テーブルに挿入
+      await insertToTempTable(allOrders);
 
-    // ステップ7: 90秒待機
-    console.log('90秒待機中...');
-    await sleep(90000);
+      // ステップ7: 90秒待機
+      console.log('90秒待機中...');
+      await sleep(90000);
 
-    // ステップ8: MERGEで本テーブルに統合
-    const stats = await mergeToMainTables(config.channel);
+      // ステップ8: MERGEで本テーブルに統合
+      stats = await mergeToMainTables();
 
-    // ステップ9: 一時テーブル削除
-    await deleteTempTable();
+      // ステップ9: 一時テーブル削除
+      await deleteTempTable();
+    } else {
+      console.log('新しい注文はありません');
+    }
+
+    // MERGE成功後に同期位置を更新（注文0件でも取得自体は成功しているので進める）
+    for (const result of succeeded) {
+      if (useLedger) {
+        // 台帳モードはバッチの全ジョブ完了時のみ同期位置を進める
+        const { batchId, jobIds } = ledgerJobs.get(result.channel);
+        if (!batchId) continue;
+
+        await completeReportJobs(jobIds);
+        await advanceSyncStateFromLedger(result.channel, batchId);
+      } else if (useOrdersApi) {
+        // 時間切れで途中までの場合は取得済みの最終更新日時まで進める
+        await updateSyncState(result.channel, new Date(result.period.end), SYNC_TYPE_ORDERS_API);
+      } else {
+        await updateSyncState(result.channel, endDate, SYNC_TYPE_ORDERS);
+      }
+    }
 
     // 完了
     const executionTime = (Date.now() - startTime) / 1000;
     console.log(`=== 同期完了 ===`);
     console.log(`実行時間: ${executionTime}秒`);
 
+    if (isFanOut) {
+      sendAccountsResponse(res, `Amazon注文同期が完了しました（${useOrdersApi ? 'Orders API' : 'Reports API'}）`, results, allOrders.length, startTime);
+      return;
+    }
+
+    const result = results[0];
+
+    if (allOrders.length === 0) {
+      res.json({
+        success: true,
+        message: '新しい注文はありません',
+        mode: result.mode,
+        orders_count: 0,
+        execution_time: `${executionTime}秒`
+      });
+      return;
+    }
+
     res.json({
       success: true,
-      message: 'Amazon注文同期が完了しました（Reports API）',
-      account: config.accountName,
-      marketplace: marketplace,
-      period: {
-        start: startDate.toISOString(),
-        end: endDate.toISOString()
-      },
+      message: `Amazon注文同期が完了しました（${useOrdersApi ? 'Orders API' : 'Reports API'}）`,
+      account: result.account,
+      marketplace: result.marketplace,
+      mode: result.mode,
+      period: result.period,
+      complete: result.complete,
+      jobs: result.jobs,
+      encodings: result.encodings,
+      rejected: result.rejected,
       stats: {
         fetched: allOrders.length,
         inserted: stats.inserted,
@@ -185,6 +387,421 @@ functions.http('syncAmazonOrdersReports', async (req, res) => {
   }
 });
 
+/**
+ * Amazon 手数料同期（ペイメントレポート → order_fees）
+ *
+ * パラメータ:
+ * - days_back: 取得する過去日数（指定時はバックフィル、最大90日）
+ * - account / marketplace: syncAmazonOrdersReportsと同じ（all対応）
+ */
+functions.http('syncAmazonSettlementReports', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    // パラメータ取得（レポート一覧APIのcreatedSinceは最大90日前まで）
+    const daysBack = Math.min(parseInt(req.query.days_back) || 0, SETTLEMENT_MAX_DAYS_BACK) || null;
+    const { accountParam, marketplaceParam, isFanOut, targets } = resolveTargets(req.query);
+
+    console.log(`=== Amazon手数料同期開始（Settlement Report）===`);
+    console.log(`アカウント: ${accountParam}, マーケットプレイス: ${marketplaceParam}, 過去: ${daysBack ? `${daysBack}日` : '差分'}`);
+
+    const endDate = new Date();
+
+    const { rows: allFees, results, succeeded } = await fetchForTargets(targets, isFanOut, async (config) => {
+      const { startDate, mode } = await resolveStartDate(config.channel, daysBack, 0, SYNC_TYPE_SETTLEMENT);
+      console.log(`レポート作成日: ${startDate.toISOString()} 以降 (${mode})`);
+
+      const reports = await listReports(config, SETTLEMENT_REPORT_TYPE, startDate);
+      console.log(`ペイメントレポート数: ${reports.length}`);
+
+      const rows = [];
+      const errors = [];
+      const encodings = new Set();
+      for (const report of reports) {
+        const reportDocument = await downloadReport(config, report.reportDocumentId);
+        const fees = await parseSettlementData(reportDocument.chunks, config);
+        console.log(`レポート ${report.reportId}: ${fees.rows.length}明細（解析不可: ${fees.errors.length}）`);
+        rows.push(...fees.rows);
+        errors.push(...fees.errors.map(error => ({ report_id: report.reportId, ...error })));
+        encodings.add(reportDocument.encoding);
+      }
+
+      return {
+        rows,
+        mode,
+        reports: reports.length,
+        encodings: [...encodings],
+        rejected: summarizeRejected(errors)
+      };
+    });
+
+    console.log(`合計手数料明細数: ${allFees.length}`);
+
+    if (allFees.length > 0) {
+      await mergeRowsToTable(orderFeesTableId, ORDER_FEES_SCHEMA, allFees, ['fee_line_id', 'channel']);
+    } else {
+      console.log('新しい手数料明細はありません');
+    }
+
+    for (const result of succeeded) {
+      await updateSyncState(result.channel, endDate, SYNC_TYPE_SETTLEMENT);
+    }
+
+    console.log(`=== 手数料同期完了 ===`);
+    console.log(`実行時間: ${(Date.now() - startTime) / 1000}秒`);
+
+    sendAccountsResponse(res, 'Amazon手数料同期が完了しました（Settlement Report）', results, allFees.length, startTime);
+
+  } catch (error) {
+    console.error('エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      execution_time: `${(Date.now() - startTime) / 1000}秒`
+    });
+  }
+});
+
+/**
+ * Amazon 返品同期（返品レポート → order_returns）
+ *
+ * FBA返品レポートと自社出荷返品レポートの両方を取得する
+ *
+ * パラメータ:
+ * - days_back: 取得する過去日数（指定時はバックフィル）
+ * - overlap_hours: 差分取得時に前回終了時刻から遡る時間（デフォルト: 24）
+ * - account / marketplace: syncAmazonOrdersReportsと同じ（all対応）
+ */
+functions.http('syncAmazonReturnsReports', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const daysBack = parseInt(req.query.days_back) || null;
+    const overlapHours = parseInt(req.query.overlap_hours) || DEFAULT_OVERLAP_HOURS;
+    const { accountParam, marketplaceParam, isFanOut, targets } = resolveTargets(req.query);
+
+    console.log(`=== Amazon返品同期開始（Reports API）===`);
+    console.log(`アカウント: ${accountParam}, マーケットプレイス: ${marketplaceParam}, 過去: ${daysBack ? `${daysBack}日` : '差分'}`);
+
+    const endDate = new Date();
+    endDate.setMinutes(endDate.getMinutes() - 2);
+
+    const { rows: allReturns, results, succeeded } = await fetchForTargets(targets, isFanOut, async (config) => {
+      const { startDate, mode } = await resolveStartDate(config.channel, daysBack, overlapHours, SYNC_TYPE_RETURNS);
+      console.log(`期間: ${startDate.toISOString()} - ${endDate.toISOString()} (${mode})`);
+
+      console.log('FBA返品レポート取得中...');
+      const fbaReturns = await fetchReportsByPeriod(config, startDate, endDate, FBA_RETURNS_REPORT_TYPE, parseFbaReturnsData);
+
+      console.log('自社出荷返品レポート取得中...');
+      const mfnReturns = await fetchReportsByPeriod(config, startDate, endDate, MFN_RETURNS_REPORT_TYPE, parseMfnReturnsData);
+
+      return {
+        rows: [...fbaReturns.rows, ...mfnReturns.rows],
+        mode,
+        encodings: [...new Set([...fbaReturns.encodings, ...mfnReturns.encodings])],
+        rejected: summarizeRejected([...fbaReturns.errors, ...mfnReturns.errors]),
+        fba_returns: fbaReturns.rows.length,
+        mfn_returns: mfnReturns.rows.length
+      };
+    });
+
+    console.log(`合計返品数: ${allReturns.length}`);
+
+    if (allReturns.length > 0) {
+      await mergeRowsToTable(orderReturnsTableId, ORDER_RETURNS_SCHEMA, allReturns, ['return_id', 'channel']);
+    } else {
+      console.log('新しい返品はありません');
+    }
+
+    for (const result of succeeded) {
+      await updateSyncState(result.channel, endDate, SYNC_TYPE_RETURNS);
+    }
+
+    console.log(`=== 返品同期完了 ===`);
+    console.log(`実行時間: ${(Date.now() - startTime) / 1000}秒`);
+
+    sendAccountsResponse(res, 'Amazon返品同期が完了しました（Reports API）', results, allReturns.length, startTime);
+
+  } catch (error) {
+    console.error('エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      execution_time: `${(Date.now() - startTime) / 1000}秒`
+    });
+  }
+});
+
+/**
+ * Amazon 出荷同期（FBA出荷レポート → order_shipments → orders / order_items）
+ *
+ * 出荷明細を保存した後、注文の出荷日（最初の出荷日）と明細の出荷数量を反映する
+ * FBA出荷レポートは自社出荷（MFN）の注文を含まないため、自社出荷の出荷数量は注文同期の商品ステータス /
+ * Orders APIの出荷数量で、出荷日は Orders API（source=orders_api）の出荷済みになった時点の更新日時で反映する
+ * （レポートのみで同期している場合、自社出荷の orders.fulfillment_date は NULL のまま）
+ *
+ * パラメータ:
+ * - days_back: 取得する過去日数（指定時はバックフィル）
+ * - overlap_hours: 差分取得時に前回終了時刻から遡る時間（デフォルト: 24）
+ * - account / marketplace: syncAmazonOrdersReportsと同じ（all対応）
+ */
+functions.http('syncAmazonShipmentsReports', async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const daysBack = parseInt(req.query.days_back) || null;
+    const overlapHours = parseInt(req.query.overlap_hours) || DEFAULT_OVERLAP_HOURS;
+    const { accountParam, marketplaceParam, isFanOut, targets } = resolveTargets(req.query);
+
+    console.log(`=== Amazon出荷同期開始（Reports API）===`);
+    console.log(`アカウント: ${accountParam}, マーケットプレイス: ${marketplaceParam}, 過去: ${daysBack ? `${daysBack}日` : '差分'}`);
+
+    const endDate = new Date();
+    endDate.setMinutes(endDate.getMinutes() - 2);
+
+    const { rows: allShipments, results, succeeded } = await fetchForTargets(targets, isFanOut, async (config) => {
+      const { startDate, mode } = await resolveStartDate(config.channel, daysBack, overlapHours, SYNC_TYPE_SHIPMENTS);
+      console.log(`期間: ${startDate.toISOString()} - ${endDate.toISOString()} (${mode})`);
+
+      const shipments = await fetchReportsByPeriod(config, startDate, endDate, FBA_SHIPMENTS_REPORT_TYPE, parseFbaShipmentsData);
+
+      return {
+        rows: shipments.rows,
+        mode,
+        encodings: shipments.encodings,
+        rejected: summarizeRejected(shipments.errors)
+      };
+    });
+
+    console.log(`合計出荷明細数: ${allShipments.length}`);
+
+    if (allShipments.length > 0) {
+      await mergeRowsToTable(orderShipmentsTableId, ORDER_SHIPMENTS_SCHEMA, allShipments, ['shipment_line_id', 'channel']);
+    } else {
+      console.log('新しい出荷はありません');
+    }
+
+    // 注文同期より先に出荷が取り込まれた場合も追いつくよう、チャネル単位で毎回反映する
+    if (succeeded.length > 0) {
+      await applyShipmentsToOrders(succeeded.map(result => result.channel));
+    }
+
+    for (const result of succeeded) {
+      await updateSyncState(result.channel, endDate, SYNC_TYPE_SHIPMENTS);
+    }
+
+    console.log(`=== 出荷同期完了 ===`);
+    console.log(`実行時間: ${(Date.now() - startTime) / 1000}秒`);
+
+    sendAccountsResponse(res, 'Amazon出荷同期が完了しました（Reports API）', results, allShipments.length, startTime);
+
+  } catch (error) {
+    console.error('エラー:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      execution_time: `${(Date.now() - startTime) / 1000}秒`
+    });
+  }
+});
+
+/**
+ * 期間内のレポートを30日ごとに分割取得
+ *
+ * 戻り値: { rows: 解析済み行, errors: 解析できなかった行, encodings: 使用したエンコーディング一覧 }
+ */
+async function fetchReportsByPeriod(config, startDate, endDate, reportType, parser) {
+  const allRows = [];
+  const allErrors = [];
+  const encodings = new Set();
+  const periods = splitPeriod(startDate, endDate);
+
+  for (const [index, { start: currentStart, end: currentEnd }] of periods.entries()) {
+    console.log(`分割取得: ${currentStart.toISOString()} - ${currentEnd.toISOString()}`);
+    
+    // レポート作成リクエスト
+    console.log(`レポート作成リクエスト中... (${reportType})`);
+    const reportId = await createReport(config, currentStart, currentEnd, reportType);
+    console.log(`レポートID: ${reportId}`);
+
+    // レポート完成を待つ
+    console.log('レポート生成待機中...');
+    const documentId = await waitForReport(config, reportId);
+    console.log(`ドキュメントID: ${documentId}`);
+
+    // レポートをダウンロードしながらTSVパース
+    console.log('レポートダウンロード・解析中...');
+    const reportDocument = await downloadReport(config, documentId);
+    const { rows, errors } = await parser(reportDocument.chunks, config);
+    console.log(`レポートサイズ: ${reportDocument.bytes}バイト`);
+    console.log(`この期間の件数: ${rows.length}（解析不可: ${errors.length}）`);
+    encodings.add(reportDocument.encoding);
+    
+    allRows.push(...rows);
+    allErrors.push(...errors.map(error => ({ report_id: reportId, ...error })));
+    
+    // レート制限対策（次のレポートまで5秒待機）
+    if (index < periods.length - 1) {
+      console.log('次の期間取得まで5秒待機...');
+      await sleep(5000);
+    }
+  }
+
+  return { rows: allRows, errors: allErrors, encodings: [...encodings] };
+}
+
+/**
+ * 期間を30日ごとに分割（次の期間は1秒後から開始）
+ */
+function splitPeriod(startDate, endDate, days = 30) {
+  const periods = [];
+  let currentStart = new Date(startDate);
+
+  while (currentStart < endDate) {
+    let currentEnd = new Date(currentStart);
+    currentEnd.setDate(currentEnd.getDate() + days);
+
+    if (currentEnd > endDate) {
+      currentEnd = new Date(endDate);
+    }
+
+    periods.push({ start: currentStart, end: currentEnd });
+
+    currentStart = new Date(currentEnd);
+    currentStart.setSeconds(currentStart.getSeconds() + 1);
+  }
+
+  return periods;
+}
+
+/**
+ * 解析できなかった行の集計（件数 + 先頭のサンプル）
+ */
+function summarizeRejected(errors) {
+  return {
+    count: errors.length,
+    samples: errors.slice(0, MAX_REJECTED_SAMPLES)
+  };
+}
+
+/**
+ * 対象アカウント決定（account / marketplace パラメータ）
+ */
+function resolveTargets(query) {
+  const accountParam = String(query.account || '1').toLowerCase();
+  const marketplaceParam = (query.marketplace || 'JP').toUpperCase();
+  const isFanOut = accountParam === 'all' || marketplaceParam === 'ALL';
+
+  const targets = isFanOut
+    ? discoverAccountTargets(accountParam, marketplaceParam)
+    : [{ accountNum: parseInt(accountParam) || 1, marketplace: marketplaceParam }];
+
+  if (targets.length === 0) {
+    throw new Error(`対象アカウントが見つかりません: account=${accountParam}, marketplace=${marketplaceParam}`);
+  }
+
+  console.log(`対象アカウント: ${targets.map(t => `${t.marketplace}-${t.accountNum}`).join(', ')}`);
+
+  return { accountParam, marketplaceParam, isFanOut, targets };
+}
+
+/**
+ * アカウントごとに取得処理を実行
+ * 一括同期時は失敗したアカウントを結果に記録して次のアカウントへ進む
+ */
+async function fetchForTargets(targets, isFanOut, fetchAccount) {
+  const rows = [];
+  const results = [];
+
+  for (const target of targets) {
+    const result = {
+      account_num: target.accountNum,
+      marketplace: target.marketplace,
+      channel: `Amazon-${target.marketplace}-${target.accountNum}`
+    };
+
+    try {
+      const config = getAccountConfig(target.accountNum, target.marketplace);
+      console.log(`--- ${config.channel} ---`);
+
+      const { rows: accountRows, ...summary } = await fetchAccount(config);
+      rows.push(...accountRows);
+
+      Object.assign(result, {
+        account: config.accountName,
+        ...summary,
+        fetched: accountRows.length
+      });
+    } catch (error) {
+      if (!isFanOut) throw error;
+
+      console.error(`${result.channel} 取得エラー:`, error);
+      result.error = error.message;
+    }
+
+    results.push(result);
+  }
+
+  return {
+    rows,
+    results,
+    succeeded: results.filter(r => !r.error)
+  };
+}
+
+/**
+ * アカウント別結果のレスポンス送信
+ * 全アカウント失敗時のみ500（部分成功は成功分を再実行させないため200）
+ */
+function sendAccountsResponse(res, message, results, fetchedCount, startTime) {
+  const succeededCount = results.filter(r => !r.error).length;
+  const failedCount = results.length - succeededCount;
+
+  res.status(succeededCount === 0 ? 500 : 200).json({
+    success: failedCount === 0,
+    message: `${message}（${succeededCount}/${results.length}アカウント成功）`,
+    stats: {
+      accounts: results.length,
+      succeeded: succeededCount,
+      failed: failedCount,
+      fetched: fetchedCount
+    },
+    accounts: results.map(result => ({
+      ...result,
+      success: !result.error
+    })),
+    execution_time: `${(Date.now() - startTime) / 1000}秒`
+  });
+}
+
+/**
+ * 環境変数から設定済みアカウントを検出（AMAZON_{MP}_CLIENT_ID_{n}）
+ */
+function discoverAccountTargets(accountParam, marketplaceParam) {
+  const marketplaceOrder = Object.keys(MARKETPLACES);
+  const targets = [];
+
+  Object.keys(process.env).forEach(key => {
+    const match = key.match(/^AMAZON_([A-Z]+)_CLIENT_ID_(\d+)$/);
+    if (!match) return;
+
+    const marketplace = match[1];
+    const accountNum = parseInt(match[2]);
+
+    if (!MARKETPLACES[marketplace]) return;
+    if (marketplaceParam !== 'ALL' && marketplace !== marketplaceParam) return;
+    if (accountParam !== 'all' && accountNum !== parseInt(accountParam)) return;
+
+    targets.push({ accountNum, marketplace });
+  });
+
+  return targets.sort((a, b) =>
+    marketplaceOrder.indexOf(a.marketplace) - marketplaceOrder.indexOf(b.marketplace) ||
+    a.accountNum - b.accountNum
+  );
+}
+
 /**
  * アカウント設定取得
  */
@@ -198,7 +815,8 @@ function getAccountConfig(accountNum, marketplace) {
     refreshToken: process.env[`${prefix}_REFRESH_TOKEN${suffix}`],
     accountName: process.env[`ACCOUNT_NAME${suffix}`] || `Amazon ${marketplace} ${accountNum}`,
     channel: `Amazon-${marketplace}-${accountNum}`,
-    marketplace: MARKETPLACES[marketplace]
+    marketplace: MARKETPLACES[marketplace],
+    endpoint: MARKETPLACES[marketplace]?.endpoint
   };
   
   if (!config.clientId || !config.clientSecret || !config.refreshToken) {
@@ -209,83 +827,439 @@ function getAccountConfig(accountNum, marketplace) {
 }
 
 /**
- * LWA Access Token取得
+ * 取得開始日時の決定
+ * - days_back指定時: バックフィル（指定日数分）
+ * - 未指定時: sync_stateの前回終了時刻 - overlap_hours から差分取得
+ * - sync_state未登録時: defaultDaysBack日分
  */
-async function getAccessToken(config) {
-  return new Promise((resolve, reject) => {
-    const postData = querystring.stringify({
-      grant_type: 'refresh_token',
-      refresh_token: config.refreshToken,
-      client_id: config.clientId,
-      client_secret: config.clientSecret
-    });
+async function resolveStartDate(channel, daysBack, overlapHours, syncType, defaultDaysBack = DEFAULT_DAYS_BACK) {
+  if (daysBack) {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - daysBack);
+    return { startDate, mode: 'backfill' };
+  }
 
-    const options = {
-      hostname: 'api.amazon.com',
-      path: '/auth/o2/token',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
+  const lastSyncedAt = await getSyncState(channel, syncType);
 
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          const json = JSON.parse(data);
-          resolve(json.access_token);
-        } else {
-          reject(new Error(`Token取得失敗: ${data}`));
-        }
+  if (!lastSyncedAt) {
+    console.log(`sync_state未登録のため過去${defaultDaysBack}日から取得します`);
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - defaultDaysBack);
+    return { startDate, mode: 'initial' };
+  }
+
+  console.log(`前回同期終了時刻: ${lastSyncedAt.toISOString()}（重複取得: ${overlapHours}時間）`);
+  const startDate = new Date(lastSyncedAt.getTime() - overlapHours * 60 * 60 * 1000);
+  return { startDate, mode: 'incremental' };
+}
+
+/**
+ * テーブル作成（存在しない場合のみ）
+ */
+async function ensureTable(tableId, schema) {
+  const [exists] = await bigquery.dataset(datasetId).table(tableId).exists();
+  if (exists) return;
+
+  await bigquery.dataset(datasetId).createTable(tableId, { schema });
+  console.log(`${tableId}テーブル作成完了`);
+}
+
+/**
+ * 列追加（既存テーブルに無い列のみ、NULLABLEで追加）
+ */
+async function ensureColumns(tableId, fields) {
+  const table = bigquery.dataset(datasetId).table(tableId);
+  const [metadata] = await table.getMetadata();
+  const existing = new Set(metadata.schema.fields.map(field => field.name));
+  const missing = fields.filter(field => !existing.has(field.name));
+
+  if (missing.length === 0) return;
+
+  await table.setMetadata({
+    schema: { fields: [...metadata.schema.fields, ...missing] }
+  });
+  console.log(`${tableId}に列追加: ${missing.map(field => field.name).join(', ')}`);
+}
+
+/**
+ * is_cancelled の無いAmazon注文にキャンセル判定を反映（列の追加前に保存した行）
+ *
+ * MERGEで更新されない既存行もビュー・在庫切れアラートで除外されるように、未設定の行だけ更新する（再実行しても同じ結果）
+ */
+async function backfillCancelledOrders() {
+  const [job] = await bigquery.createQueryJob({
+    query: `
+      UPDATE \`${datasetId}.${ordersTableId}\`
+      SET is_cancelled = (fulfillment_status = 'Cancelled')
+      WHERE is_cancelled IS NULL
+        AND fulfillment_status IS NOT NULL
+        AND STARTS_WITH(channel, 'Amazon')
+    `
+  });
+  await job.getQueryResults();
+
+  const [metadata] = await job.getMetadata();
+  const updatedRows = Number(metadata.statistics?.query?.numDmlAffectedRows || 0);
+  if (updatedRows > 0) {
+    console.log(`${ordersTableId}のキャンセル判定を反映: ${updatedRows}件`);
+  }
+}
+
+/**
+ * 売上集計用ビュー作成（キャンセル注文を除外、存在しない場合のみ）
+ */
+async function ensureSalesOrdersView() {
+  const [exists] = await bigquery.dataset(datasetId).table(salesOrdersViewId).exists();
+  if (exists) return;
+
+  await bigquery.dataset(datasetId).createTable(salesOrdersViewId, {
+    view: {
+      query: `SELECT * FROM \`${datasetId}.${ordersTableId}\` WHERE is_cancelled IS NOT TRUE`,
+      useLegacySql: false
+    }
+  });
+  console.log(`${salesOrdersViewId}ビュー作成完了`);
+}
+
+/**
+ * sync_stateテーブル作成（存在しない場合のみ）
+ */
+async function ensureSyncStateTable() {
+  await ensureTable(syncStateTableId, [
+    { name: 'channel', type: 'STRING' },
+    { name: 'sync_type', type: 'STRING' },
+    { name: 'last_synced_at', type: 'TIMESTAMP' },
+    { name: 'updated_at', type: 'TIMESTAMP' }
+  ]);
+}
+
+/**
+ * 前回同期終了時刻の取得
+ */
+async function getSyncState(channel, syncType) {
+  await ensureSyncStateTable();
+
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT last_synced_at
+      FROM \`${datasetId}.${syncStateTableId}\`
+      WHERE channel = @channel AND sync_type = @syncType
+      ORDER BY last_synced_at DESC
+      LIMIT 1
+    `,
+    params: { channel, syncType }
+  });
+
+  if (rows.length === 0 || !rows[0].last_synced_at) {
+    return null;
+  }
+
+  return new Date(rows[0].last_synced_at.value);
+}
+
+/**
+ * 同期終了時刻の記録（DMLで更新するためストリーミングバッファの影響なし）
+ */
+async function updateSyncState(channel, dataEndTime, syncType) {
+  await ensureSyncStateTable();
+
+  const query = `
+    MERGE \`${datasetId}.${syncStateTableId}\` T
+    USING (SELECT @channel as channel, @syncType as sync_type, @lastSyncedAt as last_synced_at) S
+    ON T.channel = S.channel AND T.sync_type = S.sync_type
+    WHEN MATCHED THEN
+      UPDATE SET
+        last_synced_at = S.last_synced_at,
+        updated_at = CURRENT_TIMESTAMP()
+    WHEN NOT MATCHED THEN
+      INSERT (channel, sync_type, last_synced_at, updated_at)
+      VALUES (S.channel, S.sync_type, S.last_synced_at, CURRENT_TIMESTAMP())
+  `;
+
+  await bigquery.query({
+    query,
+    params: { channel, syncType, lastSyncedAt: dataEndTime },
+    types: { lastSyncedAt: 'TIMESTAMP' }
+  });
+  console.log(`sync_state更新: ${channel} (${syncType}) → ${dataEndTime.toISOString()}`);
+}
+
+/**
+ * 台帳モードの注文レポート処理（1アカウント分）
+ *
+ * 1回の実行で以下を行い、長期間のバックフィルを複数回の実行に分けて進める:
+ * 1. 未完了ジョブが無ければ期間を30日ごとに分割してPENDINGで登録
+ * 2. PENDINGのジョブをLEDGER_MAX_REQUESTS_PER_RUN件までレポート作成リクエスト
+ * 3. REQUESTEDのジョブの状態を1回だけ確認し、DONEのものをダウンロード・解析
+ *
+ * 解析済みジョブはMERGE成功後に completeReportJobs で COMPLETED にする
+ * FAILEDのジョブもバッチに残し（新しいバッチを計画しない）、LEDGER_FAILED_RETRY_HOURS 経過後に PENDING へ戻して再リクエストする
+ */
+async function processReportJobs(config, { daysBack, overlapHours, endDate, startTime }) {
+  await ensureTable(reportJobsTableId, REPORT_JOBS_SCHEMA);
+
+  let jobs = await getUnfinishedReportJobs(config.channel);
+  let mode = 'resume';
+
+  if (jobs.length === 0) {
+    const resolved = await resolveStartDate(config.channel, daysBack, overlapHours, SYNC_TYPE_ORDERS);
+    mode = resolved.mode;
+    jobs = await planReportJobs(config.channel, resolved.startDate, endDate);
+  } else {
+    console.log(`未完了ジョブを再開: ${jobs.length}件`);
+  }
+
+  // 失敗から一定時間経過したジョブは再リクエスト対象に戻す
+  const retried = await retryFailedReportJobs(jobs);
+
+  if (jobs.length === 0) {
+    console.log('取得対象の期間がありません');
+    return { rows: [], mode, jobs: { total: 0 }, batchId: null, completedJobIds: [] };
+  }
+
+  const batchId = jobs[0].batch_id;
+  const rows = [];
+  const errors = [];
+  const encodings = new Set();
+  const completedJobIds = [];
+  let requested = 0;
+
+  // レポート作成リクエスト
+  for (const job of jobs.filter(j => j.status === 'PENDING').slice(0, LEDGER_MAX_REQUESTS_PER_RUN)) {
+    const reportId = await createReport(config, new Date(job.data_start_time.value), new Date(job.data_end_time.value));
+    console.log(`レポート作成リクエスト: ${job.data_start_time.value} - ${job.data_end_time.value} → ${reportId}`);
+
+    await updateReportJob(job.job_id, { status: 'REQUESTED', report_id: reportId, attempts: job.attempts + 1 });
+    Object.assign(job, { status: 'REQUESTED', report_id: reportId, attempts: job.attempts + 1 });
+    requested++;
+  }
+
+  // 完成済みレポートの取得（待機はしない）
+  for (const job of jobs.filter(j => j.status === 'REQUESTED')) {
+    if (Date.now() - startTime > LEDGER_TIME_BUDGET_MS) {
+      console.log('実行時間の上限に達したため残りのジョブは次回処理します');
+      break;
+    }
+
+    const report = await getReport(config, job.report_id);
+    console.log(`ジョブ ${job.report_id}: ${report.processingStatus}`);
+
+    if (report.processingStatus === 'DONE') {
+      const reportDocument = await downloadReport(config, report.reportDocumentId);
+      const parsed = await parseReportData(reportDocument.chunks, config);
+      rows.push(...parsed.rows);
+      errors.push(...parsed.errors.map(error => ({ report_id: job.report_id, ...error })));
+      encodings.add(reportDocument.encoding);
+      completedJobIds.push(job.job_id);
+    } else if (report.processingStatus === 'CANCELLED') {
+      // 対象期間にデータが無い場合もCANCELLEDになる
+      completedJobIds.push(job.job_id);
+    } else if (report.processingStatus === 'FATAL') {
+      const failed = job.attempts >= LEDGER_MAX_ATTEMPTS;
+      await updateReportJob(job.job_id, {
+        status: failed ? 'FAILED' : 'PENDING',
+        error: `レポート生成失敗: FATAL (${job.attempts}回目)`
       });
-    });
+      Object.assign(job, { status: failed ? 'FAILED' : 'PENDING' });
+    }
+  }
 
-    req.on('error', reject);
-    req.write(postData);
-    req.end();
+  const count = status => jobs.filter(j => j.status === status).length;
+
+  return {
+    rows,
+    mode,
+    encodings: [...encodings],
+    rejected: summarizeRejected(errors),
+    jobs: {
+      batch_id: batchId,
+      total: jobs.length,
+      requested_this_run: requested,
+      completed_this_run: completedJobIds.length,
+      retried_this_run: retried,
+      pending: count('PENDING'),
+      waiting: count('REQUESTED') - completedJobIds.length,
+      failed: count('FAILED')
+    },
+    batchId,
+    completedJobIds
+  };
+}
+
+/**
+ * 未完了ジョブ取得（PENDING / REQUESTED / FAILED）
+ */
+async function getUnfinishedReportJobs(channel) {
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT *
+      FROM \`${datasetId}.${reportJobsTableId}\`
+      WHERE channel = @channel
+        AND report_type = @reportType
+        AND status IN ('PENDING', 'REQUESTED', 'FAILED')
+      ORDER BY data_start_time
+    `,
+    params: { channel, reportType: ORDERS_REPORT_TYPE }
   });
+
+  return rows;
+}
+
+/**
+ * 期間を分割してPENDINGジョブとして登録（DMLで登録するため直後に更新可能）
+ */
+async function planReportJobs(channel, startDate, endDate) {
+  const batchId = `${channel}-${Date.now()}`;
+  const periods = splitPeriod(startDate, endDate);
+
+  const jobs = periods.map((period, index) => ({
+    job_id: `${batchId}-${index + 1}`,
+    data_start_time: period.start.toISOString(),
+    data_end_time: period.end.toISOString()
+  }));
+
+  if (jobs.length === 0) return [];
+
+  await bigquery.query({
+    query: `
+      INSERT INTO \`${datasetId}.${reportJobsTableId}\`
+        (job_id, batch_id, channel, report_type, data_start_time, data_end_time,
+         status, report_id, attempts, error, created_at, updated_at)
+      SELECT
+        job.job_id, @batchId, @channel, @reportType,
+        TIMESTAMP(job.data_start_time), TIMESTAMP(job.data_end_time),
+        'PENDING', NULL, 0, NULL, CURRENT_TIMESTAMP(), CURRENT_TIMESTAMP()
+      FROM UNNEST(@jobs) AS job
+    `,
+    params: { batchId, channel, reportType: ORDERS_REPORT_TYPE, jobs }
+  });
+
+  console.log(`ジョブ登録: ${jobs.length}件 (${batchId})`);
+
+  return getUnfinishedReportJobs(channel);
+}
+
+/**
+ * FAILEDから LEDGER_FAILED_RETRY_HOURS 経過したジョブを PENDING に戻す（作成リクエスト回数もリセット）
+ * 戻り値: 戻したジョブ数
+ */
+async function retryFailedReportJobs(jobs) {
+  const retryBefore = Date.now() - LEDGER_FAILED_RETRY_HOURS * 60 * 60 * 1000;
+  const retryJobs = jobs.filter(job =>
+    job.status === 'FAILED' && new Date(job.updated_at.value).getTime() < retryBefore
+  );
+
+  for (const job of retryJobs) {
+    await updateReportJob(job.job_id, { status: 'PENDING', attempts: 0 });
+    Object.assign(job, { status: 'PENDING', attempts: 0 });
+    console.log(`失敗ジョブを再リクエスト対象に戻しました: ${job.data_start_time.value} - ${job.data_end_time.value}（${job.error}）`);
+  }
+
+  return retryJobs.length;
+}
+
+/**
+ * ジョブ更新
+ */
+async function updateReportJob(jobId, fields) {
+  const columns = Object.keys(fields);
+
+  await bigquery.query({
+    query: `
+      UPDATE \`${datasetId}.${reportJobsTableId}\`
+      SET ${columns.map(c => `${c} = @${c}`).join(', ')}, updated_at = CURRENT_TIMESTAMP()
+      WHERE job_id = @jobId
+    `,
+    params: { ...fields, jobId }
+  });
+}
+
+/**
+ * MERGE済みジョブをCOMPLETEDに更新
+ */
+async function completeReportJobs(jobIds) {
+  if (jobIds.length === 0) return;
+
+  await bigquery.query({
+    query: `
+      UPDATE \`${datasetId}.${reportJobsTableId}\`
+      SET status = 'COMPLETED', error = NULL, updated_at = CURRENT_TIMESTAMP()
+      WHERE job_id IN UNNEST(@jobIds)
+    `,
+    params: { jobIds }
+  });
+  console.log(`ジョブ完了: ${jobIds.length}件`);
+}
+
+/**
+ * バッチの全ジョブがCOMPLETEDなら、その最終時刻までsync_stateを進める
+ * FAILEDを含むバッチは進めない（FAILEDのジョブは retryFailedReportJobs で再リクエストする）
+ */
+async function advanceSyncStateFromLedger(channel, batchId) {
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT
+        COUNTIF(status != 'COMPLETED') as unfinished,
+        MAX(data_end_time) as last_end_time
+      FROM \`${datasetId}.${reportJobsTableId}\`
+      WHERE batch_id = @batchId
+    `,
+    params: { batchId }
+  });
+
+  const { unfinished, last_end_time: lastEndTime } = rows[0];
+
+  if (unfinished > 0) {
+    console.log(`未完了ジョブ ${unfinished}件のため同期位置は更新しません (${batchId})`);
+    return;
+  }
+
+  await updateSyncState(channel, new Date(lastEndTime.value), SYNC_TYPE_ORDERS);
 }
 
 /**
  * レポート作成リクエスト
  */
-async function createReport(config, accessToken, startDate, endDate) {
-  const body = JSON.stringify({
-    reportType: 'GET_FLAT_FILE_ALL_ORDERS_DATA_BY_ORDER_DATE_GENERAL',
+async function createReport(config, startDate, endDate, reportType = ORDERS_REPORT_TYPE) {
+  const body = {
+    reportType: reportType,
     marketplaceIds: [config.marketplace.marketplaceId],
     dataStartTime: startDate.toISOString(),
     dataEndTime: endDate.toISOString()
-  });
+  };
 
   const response = await callSpApi(
     config,
-    accessToken,
+    'createReport',
     'POST',
     '/reports/2021-06-30/reports',
     body
   );
-
-  return response.reportId;
+
+  return response.reportId;
+}
+
+/**
+ * レポート状態取得
+ */
+async function getReport(config, reportId) {
+  return callSpApi(
+    config,
+    'getReport',
+    'GET',
+    `/reports/2021-06-30/reports/${reportId}`
+  );
 }
 
 /**
  * レポート完成を待つ（ポーリング）
  */
-async function waitForReport(config, accessToken, reportId, maxWaitTime = 600000) {
+async function waitForReport(config, reportId, maxWaitTime = 600000) {
   const startTime = Date.now();
   const pollInterval = 10000; // 10秒ごとにチェック
 
   while (Date.now() - startTime < maxWaitTime) {
-    const response = await callSpApi(
-      config,
-      accessToken,
-      'GET',
-      `/reports/2021-06-30/reports/${reportId}`,
-      null
-    );
+    const response = await getReport(config, reportId);
 
     console.log(`レポートステータス: ${response.processingStatus}`);
 
@@ -302,20 +1276,23 @@ async function waitForReport(config, accessToken, reportId, maxWaitTime = 600000
 }
 
 /**
- * レポートダウンロード（エンコーディング対応版）
+ * レポートダウンロード（圧縮・エンコーディング対応版、ストリーミング）
+ *
+ * 本文はメモリに展開せず、受信しながらGZIP解凍・デコードする
+ * 戻り値: { chunks: デコード済み文字列の断片（for await で読む）, encoding: 使用したエンコーディング, bytes: 解凍後のバイト数 }
+ * encoding・bytes は chunks を読み終えた後に確定する
  */
-async function downloadReport(config, accessToken, documentId) {
+async function downloadReport(config, documentId) {
   // ドキュメント情報取得
   const docInfo = await callSpApi(
     config,
-    accessToken,
+    'getReportDocument',
     'GET',
-    `/reports/2021-06-30/documents/${documentId}`,
-    null
+    `/reports/2021-06-30/documents/${documentId}`
   );
 
-  // レポートダウンロード（Bufferとして取得）
-  return new Promise((resolve, reject) => {
+  // レポートダウンロード（レスポンスのストリームとして取得）
+  const response = await new Promise((resolve, reject) => {
     const url = new URL(docInfo.url);
     
     const options = {
@@ -325,97 +1302,201 @@ async function downloadReport(config, accessToken, documentId) {
     };
 
     https.get(options, (res) => {
-      const chunks = [];
-      res.on('data', (chunk) => { chunks.push(chunk); });
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          const buffer = Buffer.concat(chunks);
-          
-          // エンコーディング自動判定してデコード
-          let data;
-          try {
-            // まずUTF-8で試す
-            data = buffer.toString('utf8');
-            // 文字化けチェック（replacement character U+FFFDが含まれていたら失敗）
-            if (data.includes('\uFFFD') || data.includes('�')) {
-              throw new Error('UTF-8 decode failed');
-            }
-            console.log('エンコーディング: UTF-8');
-          } catch (e) {
-            // UTF-8失敗 → Shift-JISでデコード
-            console.log('UTF-8失敗、Shift-JISで再試行...');
-            data = iconv.decode(buffer, 'shift_jis');
-            console.log('エンコーディング: Shift-JIS');
-          }
-          
-          resolve(data);
-        } else {
-          reject(new Error(`ダウンロード失敗: ${res.statusCode}`));
-        }
-      });
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`ダウンロード失敗: ${res.statusCode}`));
+        return;
+      }
+      resolve(res);
     }).on('error', reject);
   });
+
+  // GZIP圧縮されている場合は受信しながら解凍
+  let body = response;
+  if (docInfo.compressionAlgorithm === 'GZIP') {
+    console.log('GZIP圧縮: 受信しながら解凍します');
+    body = pipeline(response, zlib.createGunzip(), () => {});
+  }
+
+  const reportDocument = { chunks: null, encoding: null, bytes: 0 };
+  reportDocument.chunks = decodeReportChunks(body, response.headers['content-type'] || '', reportDocument);
+  return reportDocument;
+}
+
+/**
+ * レポートのデコード（バイト列の断片 → 文字列の断片）
+ * - Content-Typeにcharsetがあればそれを使用
+ * - 無ければ最初の非ASCIIバイトから ENCODING_SNIFF_BYTES バイトがUTF-8として正しいかで判定し、
+ *   不正ならWindows-31J（Shift-JIS拡張）。それまでのASCIIはどちらでも同じ文字
+ *
+ * 使用したエンコーディング・バイト数は reportDocument に記録
+ */
+async function* decodeReportChunks(byteChunks, contentType, reportDocument) {
+  const charsetMatch = contentType.match(/charset=["']?([^;"'\s]+)/i);
+  const charset = charsetMatch ? charsetMatch[1] : null;
+  let decoder = null;
+
+  if (charset && iconv.encodingExists(charset)) {
+    console.log(`エンコーディング: ${charset}（Content-Type指定）`);
+    reportDocument.encoding = charset;
+    decoder = iconv.getDecoder(charset);
+  } else if (charset) {
+    console.warn(`未対応のcharset: ${charset} → 自動判定します`);
+  }
+
+  // 判定前に受信した、最初の非ASCIIバイト以降のバイト列
+  let pending = [];
+  let pendingBytes = 0;
+
+  for await (const chunk of byteChunks) {
+    reportDocument.bytes += chunk.length;
+
+    if (decoder) {
+      const text = decoder.write(chunk);
+      if (text) yield text;
+      continue;
+    }
+
+    if (pendingBytes === 0) {
+      const firstNonAscii = chunk.findIndex(byte => byte >= 0x80);
+      if (firstNonAscii === -1) {
+        yield chunk.toString('ascii');
+        continue;
+      }
+      if (firstNonAscii > 0) {
+        yield chunk.toString('ascii', 0, firstNonAscii);
+      }
+      pending.push(chunk.subarray(firstNonAscii));
+      pendingBytes += chunk.length - firstNonAscii;
+    } else {
+      pending.push(chunk);
+      pendingBytes += chunk.length;
+    }
+
+    if (pendingBytes >= ENCODING_SNIFF_BYTES) {
+      const head = Buffer.concat(pending);
+      decoder = detectReportDecoder(head, reportDocument);
+      pending = [];
+      pendingBytes = 0;
+
+      const text = decoder.write(head);
+      if (text) yield text;
+    }
+  }
+
+  // 判定に必要なバイト数に届かないまま終わった場合（非ASCIIが無い場合はUTF-8）
+  if (!decoder) {
+    const head = Buffer.concat(pending);
+    decoder = detectReportDecoder(head, reportDocument);
+    const text = decoder.write(head);
+    if (text) yield text;
+  }
+
+  const rest = decoder.end();
+  if (rest) yield rest;
+}
+
+/**
+ * 先頭の非ASCIIバイト列からデコーダーを選択（UTF-8として厳密にデコードでき無ければWindows-31J）
+ */
+function detectReportDecoder(head, reportDocument) {
+  try {
+    // 末尾の文字が途中で切れていても不正としない（stream: true）
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    console.log('エンコーディング: UTF-8（自動判定）');
+    reportDocument.encoding = 'UTF-8';
+    return iconv.getDecoder('utf8');
+  } catch (e) {
+    console.log('UTF-8として不正なバイト列あり → Windows-31Jでデコード');
+    reportDocument.encoding = 'Windows-31J';
+    return iconv.getDecoder('windows-31j');
+  }
+}
+
+/**
+ * Amazonの注文明細キー（'{注文ID}-{SKU}'）
+ *
+ * 注文レポートには注文商品番号が無いため、レポート・Orders API・ペイメントレポート・出荷レポートで
+ * 同じ明細が同じキーになるよう注文ID + SKU で作る
+ */
+function buildLineItemId(orderId, sku) {
+  return `${orderId}-${sku || '1'}`;
 }
 
 /**
  * レポートデータ解析（TSV形式）
+ *
+ * 戻り値: { rows: 注文明細行, errors: 解析できなかった行 }
  */
-function parseReportData(reportData, config) {
-  const lines = reportData.split('\n');
-  const headers = lines[0].split('\t');
+async function parseReportData(reportChunks, config) {
   const orders = [];
+  const errors = [];
+
+  for await (const { line, row, error } of iterateTsvRows(reportChunks, ORDERS_HEADER_ALIASES)) {
+    if (error) {
+      errors.push(error);
+      continue;
+    }
 
-  console.log(`ヘッダー: ${headers.slice(0, 5).join(', ')}...`);
+    // 注文データ構築
+    if (!row['amazon-order-id']) {
+      errors.push({ line, reason: 'amazon-order-idがありません' });
+      continue;
+    }
 
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
+    // 顧客名の取得（複数フィールドを試す）
+    const customerName = row['buyer-name'] || row['recipient-name'] || 'Amazon Customer';
+    
+    // 配送先情報の取得
+    const shipState = row['ship-state'] || '';
+    const shipCity = row['ship-city'] || '';
+    const shipPostalCode = row['ship-postal-code'] || '';
 
-    const values = line.split('\t');
-    const row = {};
+    // 金額（プロモーション割引はレポートによって符号が異なるため絶対値で扱う）
+    const itemPrice = parseFloat(row['item-price'] || 0);
+    const itemTax = parseFloat(row['item-tax'] || 0);
+    const shippingPrice = parseFloat(row['shipping-price'] || 0);
+    const giftWrapPrice = parseFloat(row['gift-wrap-price'] || 0);
+    const giftWrapTax = parseFloat(row['gift-wrap-tax'] || 0);
+    const itemDiscount = Math.abs(parseFloat(row['item-promotion-discount'] || 0));
+    const shipDiscount = Math.abs(parseFloat(row['ship-promotion-discount'] || 0));
+    const quantity = parseInt(row['quantity-purchased'] || 1);
     
-    headers.forEach((header, index) => {
-      row[header.trim()] = values[index] || '';
+    orders.push({
+      order_id: row['amazon-order-id'],
+      channel: config.channel,
+      account_name: config.accountName,
+      order_number: row['amazon-order-id'],
+      order_date: row['purchase-date'] ? new Date(row['purchase-date']).toISOString() : new Date().toISOString(),
+      customer_name: customerName,
+      ship_state: shipState,
+      ship_city: shipCity,
+      ship_postal_code: shipPostalCode,
+      subtotal_amount: itemPrice,
+      tax_amount: itemTax,
+      shipping_amount: shippingPrice,
+      discount_amount: itemDiscount,
+      shipping_discount_amount: shipDiscount,
+      gift_wrap_amount: giftWrapPrice,
+      gift_wrap_tax_amount: giftWrapTax,
+      total_amount: itemPrice + itemTax + shippingPrice + giftWrapPrice + giftWrapTax - itemDiscount - shipDiscount,
+      currency: row['currency'] || 'JPY',
+      payment_status: row['payment-method'] || 'unknown',
+      fulfillment_status: row['order-status'] || 'unknown',
+      // 出荷日はレポートに無いため出荷同期で反映する
+      fulfillment_date: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      // 商品情報
+      line_item_id: buildLineItemId(row['amazon-order-id'], row['sku']),
+      sku: row['sku'] || '',
+      product_name: row['product-name'] || '',
+      quantity: quantity,
+      unit_price: itemPrice / quantity,
+      line_total: itemPrice,
+      // 出荷済みの商品のみ数量を確定（それ以外はNULL = 既存の値を維持）
+      quantity_fulfilled: row['item-status'] === 'Shipped' ? quantity : null
     });
-
-    // 注文データ構築
-    if (row['amazon-order-id']) {
-      // 顧客名の取得（複数フィールドを試す）
-      const customerName = row['buyer-name'] || row['recipient-name'] || 'Amazon Customer';
-      
-      // 配送先情報の取得
-      const shipState = row['ship-state'] || row['ship-state-or-region'] || '';
-      const shipCity = row['ship-city'] || '';
-      const shipPostalCode = row['ship-postal-code'] || '';
-      
-      orders.push({
-        order_id: row['amazon-order-id'],
-        channel: config.channel,
-        account_name: config.accountName,
-        order_number: row['amazon-order-id'],
-        order_date: row['purchase-date'] ? new Date(row['purchase-date']).toISOString() : new Date().toISOString(),
-        customer_name: customerName,
-        ship_state: shipState,
-        ship_city: shipCity,
-        ship_postal_code: shipPostalCode,
-        subtotal_amount: parseFloat(row['item-price'] || 0),
-        tax_amount: parseFloat(row['item-tax'] || 0),
-        shipping_amount: parseFloat(row['shipping-price'] || 0),
-        total_amount: parseFloat(row['item-price'] || 0) + parseFloat(row['item-tax'] || 0) + parseFloat(row['shipping-price'] || 0),
-        currency: row['currency'] || 'JPY',
-        payment_status: row['payment-method'] || 'unknown',
-        fulfillment_status: row['order-status'] || 'unknown',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        // 商品情報
-        line_item_id: row['order-item-id'] || `${row['amazon-order-id']}-1`,
-        sku: row['sku'] || '',
-        product_name: row['product-name'] || '',
-        quantity: parseInt(row['quantity-purchased'] || 1),
-        unit_price: parseFloat(row['item-price'] || 0) / parseInt(row['quantity-purchased'] || 1),
-        line_total: parseFloat(row['item-price'] || 0)
-      });
-    }
   }
 
   // デバッグ: 最初のデータを表示
@@ -424,57 +1505,606 @@ function parseReportData(reportData, config) {
     console.log(`サンプル配送先: ${orders[0].ship_state} ${orders[0].ship_city}`);
   }
 
+  if (errors.length > 0) {
+    console.warn(`解析できなかった行: ${errors.length}件`);
+  }
+
+  return { rows: orders, errors };
+}
+
+/**
+ * Orders APIから更新された注文を取得（parseReportDataと同じ行形式）
+ *
+ * 注文は最終更新日時の昇順に処理し、時間切れの場合はそこまでで打ち切る
+ * 戻り値: { rows, syncedUntil: 取得済みの最終更新日時, complete: 全件取得できたか }
+ */
+async function fetchOrdersFromOrdersApi(config, startDate, endDate, startTime) {
+  const orders = await listOrders(config, startDate, endDate);
+  orders.sort((a, b) => new Date(a.LastUpdateDate) - new Date(b.LastUpdateDate));
+  console.log(`更新された注文: ${orders.length}件`);
+
+  const rows = [];
+  let syncedUntil = endDate;
+  let complete = true;
+
+  for (const [index, order] of orders.entries()) {
+    if (Date.now() - startTime > ORDERS_API_TIME_BUDGET_MS) {
+      // 同じ更新日時の注文を取りこぼさないよう、次の注文の更新日時の直前までとする
+      syncedUntil = new Date(new Date(order.LastUpdateDate).getTime() - 1000);
+      complete = false;
+      console.log(`実行時間の上限に達したため ${index}/${orders.length}件で打ち切ります`);
+      break;
+    }
+
+    const items = await listOrderItems(config, order.AmazonOrderId);
+    rows.push(...mapOrdersApiRows(order, items, config));
+  }
+
+  return { rows, syncedUntil, complete };
+}
+
+/**
+ * getOrders（LastUpdatedAfter、NextTokenでページネーション）
+ */
+async function listOrders(config, startDate, endDate) {
+  const orders = [];
+  let nextToken = null;
+
+  do {
+    const params = {
+      MarketplaceIds: config.marketplace.marketplaceId,
+      LastUpdatedAfter: startDate.toISOString(),
+      LastUpdatedBefore: endDate.toISOString(),
+      MaxResultsPerPage: 100
+    };
+    if (nextToken) {
+      params.NextToken = nextToken;
+    }
+
+    const response = await callSpApi(
+      config,
+      'getOrders',
+      'GET',
+      `/orders/v0/orders?${querystring.stringify(params)}`
+    );
+
+    orders.push(...(response.payload?.Orders || []));
+    nextToken = response.payload?.NextToken;
+  } while (nextToken);
+
   return orders;
 }
 
 /**
- * SP-API呼び出し（リトライ対応）
+ * getOrderItems（NextTokenでページネーション）
  */
-async function callSpApi(config, accessToken, method, path, body, retryCount = 0) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: config.marketplace.endpoint,
-      path: path,
-      method: method,
-      headers: {
-        'x-amz-access-token': accessToken,
-        'Content-Type': 'application/json'
-      }
+async function listOrderItems(config, amazonOrderId) {
+  const items = [];
+  let nextToken = null;
+
+  do {
+    const query = nextToken ? `?${querystring.stringify({ NextToken: nextToken })}` : '';
+
+    const response = await callSpApi(
+      config,
+      'getOrderItems',
+      'GET',
+      `/orders/v0/orders/${amazonOrderId}/orderItems${query}`
+    );
+
+    items.push(...(response.payload?.OrderItems || []));
+    nextToken = response.payload?.NextToken;
+  } while (nextToken);
+
+  return items;
+}
+
+/**
+ * Orders APIの注文・明細を注文明細行に変換（parseReportDataと同じ形式）
+ */
+function mapOrdersApiRows(order, items, config) {
+  const shippingAddress = order.ShippingAddress || {};
+  const amount = money => parseFloat(money?.Amount || 0);
+  // レポートの order-status（Cancelled）と表記を揃える
+  const orderStatus = order.OrderStatus === 'Canceled' ? 'Cancelled' : (order.OrderStatus || 'unknown');
+
+  return items.map(item => {
+    const quantity = item.QuantityOrdered || 0;
+    const itemPrice = amount(item.ItemPrice);
+    const itemTax = amount(item.ItemTax);
+    const shippingPrice = amount(item.ShippingPrice);
+    const giftWrapPrice = amount(item.BuyerInfo?.GiftWrapPrice);
+    const giftWrapTax = amount(item.BuyerInfo?.GiftWrapTax);
+    const itemDiscount = Math.abs(amount(item.PromotionDiscount));
+    const shipDiscount = Math.abs(amount(item.ShippingDiscount));
+
+    return {
+      order_id: order.AmazonOrderId,
+      channel: config.channel,
+      account_name: config.accountName,
+      order_number: order.AmazonOrderId,
+      order_date: order.PurchaseDate ? new Date(order.PurchaseDate).toISOString() : new Date().toISOString(),
+      customer_name: order.BuyerInfo?.BuyerName || 'Amazon Customer',
+      ship_state: shippingAddress.StateOrRegion || '',
+      ship_city: shippingAddress.City || '',
+      ship_postal_code: shippingAddress.PostalCode || '',
+      subtotal_amount: itemPrice,
+      tax_amount: itemTax,
+      shipping_amount: shippingPrice,
+      discount_amount: itemDiscount,
+      shipping_discount_amount: shipDiscount,
+      gift_wrap_amount: giftWrapPrice,
+      gift_wrap_tax_amount: giftWrapTax,
+      total_amount: itemPrice + itemTax + shippingPrice + giftWrapPrice + giftWrapTax - itemDiscount - shipDiscount,
+      currency: item.ItemPrice?.CurrencyCode || order.OrderTotal?.CurrencyCode || 'JPY',
+      payment_status: order.PaymentMethod || 'unknown',
+      fulfillment_status: orderStatus,
+      // Orders APIに出荷日は無いため、出荷済みになった時点の最終更新日時で近似する
+      // （FBAは出荷同期で実際の出荷日に置き換わる）
+      fulfillment_date: orderStatus === 'Shipped' && order.LastUpdateDate
+        ? new Date(order.LastUpdateDate).toISOString()
+        : null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      // 商品情報
+      line_item_id: buildLineItemId(order.AmazonOrderId, item.SellerSKU),
+      sku: item.SellerSKU || '',
+      product_name: item.Title || '',
+      quantity: quantity,
+      unit_price: itemPrice / (quantity || 1),
+      line_total: itemPrice,
+      quantity_fulfilled: item.QuantityShipped ?? null
     };
+  });
+}
+
+/**
+ * 作成済みレポート一覧取得（ページネーション対応、DONEのみ）
+ */
+async function listReports(config, reportType, createdSince) {
+  const reports = [];
+  let nextToken = null;
+
+  do {
+    const params = nextToken
+      ? { nextToken }
+      : {
+          reportTypes: reportType,
+          marketplaceIds: config.marketplace.marketplaceId,
+          processingStatuses: 'DONE',
+          createdSince: createdSince.toISOString(),
+          pageSize: 100
+        };
+
+    const response = await callSpApi(
+      config,
+      'getReports',
+      'GET',
+      `/reports/2021-06-30/reports?${querystring.stringify(params)}`
+    );
+
+    reports.push(...(response.reports || []));
+    nextToken = response.nextToken;
+  } while (nextToken);
+
+  return reports.filter(r => r.reportDocumentId);
+}
+
+/**
+ * TSVレコードを1件ずつ返す（デコード済み文字列の断片を受け取りながら解析）
+ * - 読み込み中の1レコード分と受信した断片だけを保持する
+ * - 先頭のBOMを除去、改行はLF/CRLF/CRに対応
+ * - 先頭が " のフィールドはクォートとして扱い、タブ・改行・"" を含められる
+ * - 閉じクォートが見つからない場合は通常のフィールドとして読む
+ */
+async function* iterateTsvRecords(chunks) {
+  let text = '';
+  let pos = 0;
+  let lineNumber = 1;
+  let isFirstChunk = true;
+
+  for await (const chunk of chunks) {
+    text = text.slice(pos) + chunk;
+    pos = 0;
+
+    if (isFirstChunk && text) {
+      if (text.charCodeAt(0) === 0xFEFF) pos = 1;
+      isFirstChunk = false;
+    }
+
+    // レコードの途中で断片が終わった場合は次の断片を待つ
+    let record;
+    while (pos < text.length && (record = readTsvRecord(text, pos, false))) {
+      yield { fields: record.fields, line: lineNumber };
+      lineNumber += record.lines;
+      pos = record.next;
+    }
+  }
+
+  while (pos < text.length) {
+    const record = readTsvRecord(text, pos, true);
+    yield { fields: record.fields, line: lineNumber };
+    lineNumber += record.lines;
+    pos = record.next;
+  }
+}
+
+/**
+ * text の pos から1レコードを読む
+ *
+ * 戻り値: { fields, next: 次のレコードの位置, lines: 消費した行数 }
+ * isFinal でない場合、レコードの終わりが text 内で確定しなければ null（次の断片が必要）
+ */
+function readTsvRecord(text, pos, isFinal) {
+  const fields = [];
+  let lines = 1;
+
+  while (true) {
+    let value = null;
+
+    if (text[pos] === '"') {
+      let end = pos + 1;
+      let buffer = '';
 
-    if (body && method !== 'GET') {
-      options.headers['Content-Length'] = Buffer.byteLength(body);
-    }
-
-    const req = https.request(options, async (res) => {
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', async () => {
-        if (res.statusCode === 200 || res.statusCode === 202) {
-          resolve(JSON.parse(data));
-        } else if (res.statusCode === 429 && retryCount < 3) {
-          console.log(`レート制限。60秒待機後リトライ (${retryCount + 1}/3)`);
-          await sleep(60000);
-          try {
-            const result = await callSpApi(config, accessToken, method, path, body, retryCount + 1);
-            resolve(result);
-          } catch (error) {
-            reject(error);
+      while (end < text.length) {
+        if (text[end] === '"') {
+          if (text[end + 1] === '"') {
+            buffer += '"';
+            end += 2;
+            continue;
           }
-        } else {
-          reject(new Error(`SP-API Error ${res.statusCode}: ${data}`));
+          const next = text[end + 1];
+          // 閉じクォートか "" かは次の断片で決まる
+          if (next === undefined && !isFinal) return null;
+          if (next === undefined || next === '\t' || next === '\n' || next === '\r') {
+            value = buffer;
+            pos = end + 1;
+            lines += (buffer.match(/\n/g) || []).length;
+          }
+          break;
         }
-      });
+        buffer += text[end];
+        end++;
+      }
+
+      // 閉じクォートは次の断片にある可能性がある
+      if (value === null && end >= text.length && !isFinal) return null;
+    }
+
+    if (value === null) {
+      let end = pos;
+      while (end < text.length && text[end] !== '\t' && text[end] !== '\n' && text[end] !== '\r') {
+        end++;
+      }
+      if (end >= text.length && !isFinal) return null;
+      value = text.slice(pos, end);
+      pos = end;
+    }
+
+    fields.push(value);
+
+    if (text[pos] === '\t') {
+      pos++;
+      continue;
+    }
+
+    // レコード終端（CRLFのLFが次の断片にある場合は待つ）
+    if (text[pos] === '\r') {
+      if (pos + 1 >= text.length && !isFinal) return null;
+      pos++;
+    }
+    if (text[pos] === '\n') pos++;
+    return { fields, next: pos, lines };
+  }
+}
+
+/**
+ * ヘッダー名を正規化して別名を解決
+ */
+function resolveHeader(header, aliases) {
+  const normalized = header.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[_\s]+/g, '-');
+
+  for (const [canonical, names] of Object.entries(aliases)) {
+    if (normalized === canonical || names.includes(normalized)) {
+      return canonical;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * TSVレポートを行オブジェクトとして1件ずつ返す（キーは正規化済みヘッダー名）
+ *
+ * reportChunks: downloadReport の chunks（デコード済み文字列の断片）
+ * 列数がヘッダーと異なる行（タブ混入・途中で切れた行など）は { error } として返し、呼び出し側で記録する
+ */
+async function* iterateTsvRows(reportChunks, aliases = {}) {
+  let headers = null;
+
+  for await (const { fields, line } of iterateTsvRecords(reportChunks)) {
+    // 空行
+    if (fields.length === 1 && !fields[0].trim()) continue;
+
+    if (!headers) {
+      headers = fields.map(header => resolveHeader(header, aliases));
+      console.log(`ヘッダー: ${headers.slice(0, 5).join(', ')}...`);
+      continue;
+    }
+
+    // 列が足りない行は空の列として読まず、列が多い行は余分な列に値がある場合のみ不一致とする
+    const extraValues = fields.slice(headers.length).filter(value => value.trim());
+    if (fields.length < headers.length || extraValues.length > 0) {
+      yield {
+        line,
+        error: {
+          line,
+          reason: `列数がヘッダーと一致しません（ヘッダー${headers.length}列 / データ${fields.length}列）`,
+          raw: fields.join('\t').slice(0, 200)
+        }
+      };
+      continue;
+    }
+
+    // 別名で同じ列が複数ある場合は空でない値を優先
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = fields[index].trim();
+      if (value || !(header in row)) {
+        row[header] = value;
+      }
     });
 
-    req.on('error', reject);
-    
-    if (body && method !== 'GET') {
-      req.write(body);
+    yield { line, row };
+  }
+}
+
+/**
+ * ペイメントレポート解析（TSV形式 → order_fees行）
+ *
+ * 戻り値: { rows: 手数料明細, errors: 解析できなかった行 }
+ * 1行目の明細はsettlement-idごとのサマリー行（通貨・期間のみ）なので、
+ * 通貨を引き継いだうえで注文ID付きの明細だけを返す
+ */
+async function parseSettlementData(reportChunks, config) {
+  const fees = [];
+  const errors = [];
+  let currency = '';
+
+  for await (const { line, row, error } of iterateTsvRows(reportChunks)) {
+    if (error) {
+      errors.push(error);
+      continue;
     }
-    
-    req.end();
-  });
+
+    if (row['currency']) {
+      currency = row['currency'];
+    }
+
+    // 注文に紐付かない明細（月額登録料など）は対象外
+    if (!row['order-id'] || !row['amount-type']) continue;
+
+    fees.push({
+      // settlement-idのレポートは再発行されても内容が変わらないため行番号で一意にする
+      fee_line_id: `${row['settlement-id']}-${line}`,
+      order_id: row['order-id'],
+      channel: config.channel,
+      // order_items と同じキー（order-item-code は注文レポートに無いため使わない）。SKUの無い明細は注文単位
+      line_item_id: row['sku'] ? buildLineItemId(row['order-id'], row['sku']) : '',
+      sku: row['sku'] || '',
+      settlement_id: row['settlement-id'],
+      transaction_type: row['transaction-type'] || '',
+      amount_type: row['amount-type'],
+      amount_description: row['amount-description'] || '',
+      amount: parseFloat(row['amount'] || 0),
+      currency: currency || 'JPY',
+      quantity: parseInt(row['quantity-purchased'] || 0),
+      posted_date: parseReportDate(row['posted-date-time'] || row['posted-date']),
+      created_at: new Date().toISOString()
+    });
+  }
+
+  return { rows: fees, errors };
+}
+
+/**
+ * レポート共通解析（必須列の無い行はエラーとして記録）
+ */
+async function parseRequiredRows(reportChunks, requiredColumns, mapRow) {
+  const rows = [];
+  const errors = [];
+
+  for await (const { line, row, error } of iterateTsvRows(reportChunks)) {
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+
+    const missing = requiredColumns.filter(column => !row[column]);
+    if (missing.length > 0) {
+      errors.push({ line, reason: `${missing.join(', ')}がありません` });
+      continue;
+    }
+
+    rows.push(mapRow(row));
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * FBA返品レポート解析（TSV形式 → order_returns行）
+ */
+function parseFbaReturnsData(reportChunks, config) {
+  return parseRequiredRows(reportChunks, ['order-id', 'sku'], row => ({
+    // 同一注文・SKUの複数返品はライセンスプレート番号で区別する
+    return_id: `FBA-${row['order-id']}-${row['sku']}-${row['license-plate-number'] || row['return-date']}`,
+    order_id: row['order-id'],
+    channel: config.channel,
+    sku: row['sku'],
+    asin: row['asin'] || '',
+    product_name: row['product-name'] || '',
+    return_date: parseReportDate(row['return-date']),
+    quantity: parseInt(row['quantity'] || 1),
+    reason: row['reason'] || '',
+    disposition: row['detailed-disposition'] || '',
+    status: row['status'] || '',
+    fulfillment_type: 'FBA',
+    created_at: new Date().toISOString()
+  }));
+}
+
+/**
+ * 自社出荷返品レポート解析（TSV形式 → order_returns行）
+ * ヘッダーは "Order ID" 形式なので正規化後の "order-id" で参照する
+ */
+function parseMfnReturnsData(reportChunks, config) {
+  return parseRequiredRows(reportChunks, ['order-id', 'merchant-sku'], row => ({
+    return_id: `MFN-${row['order-id']}-${row['merchant-sku']}-${row['amazon-rma-id'] || row['return-request-date']}`,
+    order_id: row['order-id'],
+    channel: config.channel,
+    sku: row['merchant-sku'],
+    asin: row['asin'] || '',
+    product_name: row['item-name'] || '',
+    return_date: parseReportDate(row['return-request-date']),
+    quantity: parseInt(row['return-quantity'] || 1),
+    reason: row['return-reason'] || '',
+    disposition: row['resolution'] || '',
+    status: row['return-request-status'] || '',
+    fulfillment_type: 'MFN',
+    created_at: new Date().toISOString()
+  }));
+}
+
+/**
+ * FBA出荷レポート解析（TSV形式 → order_shipments行）
+ */
+function parseFbaShipmentsData(reportChunks, config) {
+  return parseRequiredRows(reportChunks, ['amazon-order-id', 'shipment-item-id'], row => ({
+    shipment_line_id: `FBA-${row['shipment-item-id']}`,
+    order_id: row['amazon-order-id'],
+    channel: config.channel,
+    line_item_id: buildLineItemId(row['amazon-order-id'], row['sku']),
+    shipment_id: row['shipment-id'] || '',
+    sku: row['sku'] || '',
+    quantity: parseInt(row['quantity-shipped'] || 1),
+    shipment_date: parseReportDate(row['shipment-date']),
+    carrier: row['carrier'] || '',
+    tracking_number: row['tracking-number'] || '',
+    fulfillment_type: 'FBA',
+    created_at: new Date().toISOString()
+  }));
+}
+
+/**
+ * レポートの日付を解析
+ * 例: "2024-11-01 03:12:33 UTC", "2024/11/01 12:00:00 JST", "01.11.2024", "2024-11-01T10:00:00+00:00"
+ */
+function parseReportDate(value) {
+  if (!value) return null;
+
+  let normalized = value.trim()
+    .replace(/^(\d{2})\.(\d{2})\.(\d{4})/, '$3-$2-$1')
+    .replace(/\//g, '-')
+    .replace(' UTC', 'Z')
+    .replace(' JST', '+09:00');
+
+  if (/^\d{4}-\d{2}-\d{2} /.test(normalized)) {
+    normalized = normalized.replace(' ', 'T');
+  }
+
+  const date = new Date(normalized);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 行データを本テーブルにMERGE（一時テーブル → 90秒待機 → MERGE → 一時テーブル削除）
+ * 本テーブルが存在しない場合は同じスキーマで作成する
+ */
+async function mergeRowsToTable(tableId, schema, rows, keyColumns) {
+  await ensureTable(tableId, schema);
+
+  const rowsTempTableId = `${tableId}_temp_amazon_${Date.now()}`;
+  await bigquery.dataset(datasetId).createTable(rowsTempTableId, { schema });
+
+  try {
+    const batchSize = 500;
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const batch = rows.slice(i, i + batchSize);
+      await bigquery.dataset(datasetId).table(rowsTempTableId).insert(batch);
+      console.log(`${i + batch.length}/${rows.length}件挿入完了`);
+    }
+
+    console.log('90秒待機中...');
+    await sleep(90000);
+
+    const columns = schema.map(field => field.name);
+    const updateColumns = columns.filter(c => !keyColumns.includes(c) && c !== 'created_at');
+
+    const mergeQuery = `
+      MERGE \`${datasetId}.${tableId}\` T
+      USING (
+        SELECT * FROM \`${datasetId}.${rowsTempTableId}\`
+        QUALIFY ROW_NUMBER() OVER (PARTITION BY ${keyColumns.join(', ')} ORDER BY created_at DESC) = 1
+      ) S
+      ON ${keyColumns.map(c => `T.${c} = S.${c}`).join(' AND ')}
+      WHEN MATCHED THEN
+        UPDATE SET
+          ${updateColumns.map(c => `${c} = S.${c}`).join(',\n          ')}
+      WHEN NOT MATCHED THEN
+        INSERT (${columns.join(', ')})
+        VALUES (${columns.map(c => `S.${c}`).join(', ')})
+    `;
+
+    const [job] = await bigquery.createQueryJob({ query: mergeQuery });
+    await job.getQueryResults();
+    console.log(`${tableId} MERGE完了`);
+  } finally {
+    await bigquery.dataset(datasetId).table(rowsTempTableId).delete({ ignoreNotFound: true });
+  }
+}
+
+/**
+ * order_shipmentsの出荷を orders.fulfillment_date / order_items の出荷数量に反映
+ *
+ * 出荷日は最初の出荷日、出荷数量は注文数量を上限とする（値が変わる行のみ更新）
+ * 明細は (order_id, channel, sku) で照合する（旧形式の line_item_id で登録済みの出荷も反映するため）
+ */
+async function applyShipmentsToOrders(channels) {
+  const itemsQuery = `
+    UPDATE \`${datasetId}.${orderItemsTableId}\` T
+    SET
+      quantity_fulfilled = LEAST(S.quantity_shipped, T.quantity),
+      quantity_unfulfilled = T.quantity - LEAST(S.quantity_shipped, T.quantity)
+    FROM (
+      SELECT order_id, channel, sku, SUM(quantity) as quantity_shipped
+      FROM \`${datasetId}.${orderShipmentsTableId}\`
+      WHERE channel IN UNNEST(@channels)
+      GROUP BY order_id, channel, sku
+    ) S
+    WHERE T.order_id = S.order_id AND T.channel = S.channel AND T.sku = S.sku
+      AND T.quantity_fulfilled IS DISTINCT FROM LEAST(S.quantity_shipped, T.quantity)
+  `;
+
+  const ordersQuery = `
+    UPDATE \`${datasetId}.${ordersTableId}\` T
+    SET fulfillment_date = S.first_shipment_date
+    FROM (
+      SELECT order_id, channel, MIN(shipment_date) as first_shipment_date
+      FROM \`${datasetId}.${orderShipmentsTableId}\`
+      WHERE channel IN UNNEST(@channels)
+      GROUP BY order_id, channel
+    ) S
+    WHERE T.order_id = S.order_id AND T.channel = S.channel
+      AND T.fulfillment_date IS DISTINCT FROM S.first_shipment_date
+  `;
+
+  for (const query of [itemsQuery, ordersQuery]) {
+    const [job] = await bigquery.createQueryJob({ query, params: { channels } });
+    await job.getQueryResults();
+  }
+
+  console.log(`出荷情報を反映しました: ${channels.join(', ')}`);
 }
 
 /**
@@ -494,10 +2124,15 @@ async function createTempTable() {
     { name: 'subtotal_amount', type: 'FLOAT64' },
     { name: 'tax_amount', type: 'FLOAT64' },
     { name: 'shipping_amount', type: 'FLOAT64' },
+    { name: 'discount_amount', type: 'FLOAT64' },
+    { name: 'shipping_discount_amount', type: 'FLOAT64' },
+    { name: 'gift_wrap_amount', type: 'FLOAT64' },
+    { name: 'gift_wrap_tax_amount', type: 'FLOAT64' },
     { name: 'total_amount', type: 'FLOAT64' },
     { name: 'currency', type: 'STRING' },
     { name: 'payment_status', type: 'STRING' },
     { name: 'fulfillment_status', type: 'STRING' },
+    { name: 'fulfillment_date', type: 'TIMESTAMP' },
     { name: 'created_at', type: 'TIMESTAMP' },
     { name: 'updated_at', type: 'TIMESTAMP' },
     { name: 'line_item_id', type: 'STRING' },
@@ -505,7 +2140,8 @@ async function createTempTable() {
     { name: 'product_name', type: 'STRING' },
     { name: 'quantity', type: 'INT64' },
     { name: 'unit_price', type: 'FLOAT64' },
-    { name: 'line_total', type: 'FLOAT64' }
+    { name: 'line_total', type: 'FLOAT64' },
+    { name: 'quantity_fulfilled', type: 'INT64' }
   ];
 
   await bigquery.dataset(datasetId).table(tempTableId).delete({ ignoreNotFound: true });
@@ -533,12 +2169,17 @@ async function insertToTempTable(orders) {
 /**
  * MERGEで本テーブルに統合
  */
-async function mergeToMainTables(channel) {
-  // ■ orders テーブルへのMERGE
-  // 変更なし（ここは既に安全に集計されるようになっています）
-  const ordersMergeQuery = `
-    MERGE \`${datasetId}.${ordersTableId}\` T
-    USING (
+async function mergeToMainTables() {
+  // 割引・ギフト包装の列が無い場合は追加
+  await ensureColumns(ordersTableId, ORDERS_DISCOUNT_COLUMNS);
+  await ensureColumns(orderItemsTableId, ORDER_ITEMS_DISCOUNT_COLUMNS);
+  await ensureColumns(ordersTableId, ORDERS_STATUS_COLUMNS);
+  await backfillCancelledOrders();
+  await ensureTable(orderStatusHistoryTableId, ORDER_STATUS_HISTORY_SCHEMA);
+  await ensureSalesOrdersView();
+
+  // 一時テーブルを注文単位に集計したもの（履歴とMERGEで共用）
+  const ordersSource = `
       SELECT
         order_id,
         channel,
@@ -552,10 +2193,15 @@ async function mergeToMainTables(channel) {
         SUM(subtotal_amount) as subtotal_amount,
         SUM(tax_amount) as tax_amount,
         SUM(shipping_amount) as shipping_amount,
+        SUM(discount_amount) as discount_amount,
+        SUM(shipping_discount_amount) as shipping_discount_amount,
+        SUM(gift_wrap_amount) as gift_wrap_amount,
+        SUM(gift_wrap_tax_amount) as gift_wrap_tax_amount,
         SUM(total_amount) as total_amount,
         ANY_VALUE(currency) as currency,
         ANY_VALUE(payment_status) as payment_status,
         ANY_VALUE(fulfillment_status) as fulfillment_status,
+        MIN(fulfillment_date) as fulfillment_date,
         MAX(created_at) as created_at,
         CURRENT_TIMESTAMP() as updated_at
       FROM (
@@ -573,15 +2219,38 @@ async function mergeToMainTables(channel) {
           subtotal_amount,
           tax_amount,
           shipping_amount,
+          discount_amount,
+          shipping_discount_amount,
+          gift_wrap_amount,
+          gift_wrap_tax_amount,
           total_amount,
           currency,
           payment_status,
           fulfillment_status,
+          fulfillment_date,
           created_at
         FROM \`${datasetId}.${tempTableId}\`
       )
       GROUP BY order_id, channel
-    ) S
+  `;
+
+  // ■ ステータス履歴 + orders テーブルへのMERGE
+  // 履歴は上書き前の値と比較するため、MERGEと同じトランザクションで先に書き込む
+  const ordersMergeQuery = `
+    BEGIN TRANSACTION;
+
+    INSERT INTO \`${datasetId}.${orderStatusHistoryTableId}\` (
+      order_id, channel, account_name, previous_status, new_status, changed_at
+    )
+    SELECT
+      S.order_id, S.channel, S.account_name, T.fulfillment_status, S.fulfillment_status, CURRENT_TIMESTAMP()
+    FROM (${ordersSource}) S
+    LEFT JOIN \`${datasetId}.${ordersTableId}\` T
+      ON T.order_id = S.order_id AND T.channel = S.channel
+    WHERE T.fulfillment_status IS DISTINCT FROM S.fulfillment_status;
+
+    MERGE \`${datasetId}.${ordersTableId}\` T
+    USING (${ordersSource}) S
     ON T.order_id = S.order_id AND T.channel = S.channel
     WHEN MATCHED THEN
       UPDATE SET
@@ -594,36 +2263,47 @@ async function mergeToMainTables(channel) {
         subtotal_amount = S.subtotal_amount,
         tax_amount = S.tax_amount,
         shipping_amount = S.shipping_amount,
+        discount_amount = S.discount_amount,
+        shipping_discount_amount = S.shipping_discount_amount,
+        gift_wrap_amount = S.gift_wrap_amount,
+        gift_wrap_tax_amount = S.gift_wrap_tax_amount,
         total_amount = S.total_amount,
         currency = S.currency,
         payment_status = S.payment_status,
         fulfillment_status = S.fulfillment_status,
+        is_cancelled = S.fulfillment_status = 'Cancelled',
+        -- 出荷日は一度確定したら維持（出荷同期の実際の出荷日を近似値で上書きしない）
+        fulfillment_date = COALESCE(T.fulfillment_date, S.fulfillment_date),
         updated_at = S.updated_at
     WHEN NOT MATCHED THEN
       INSERT (
-        order_id, channel, account_name, order_number, order_date,
+        order_id, channel, account_name, order_number, order_date, fulfillment_date,
         customer_name, ship_state, ship_city, ship_postal_code,
         subtotal_amount, tax_amount, shipping_amount,
-        total_amount, currency, payment_status, fulfillment_status,
+        discount_amount, shipping_discount_amount, gift_wrap_amount, gift_wrap_tax_amount,
+        total_amount, currency, payment_status, fulfillment_status, is_cancelled,
         created_at, updated_at
       )
       VALUES (
-        S.order_id, S.channel, S.account_name, S.order_number, S.order_date,
+        S.order_id, S.channel, S.account_name, S.order_number, S.order_date, S.fulfillment_date,
         S.customer_name, S.ship_state, S.ship_city, S.ship_postal_code,
         S.subtotal_amount, S.tax_amount, S.shipping_amount,
+        S.discount_amount, S.shipping_discount_amount, S.gift_wrap_amount, S.gift_wrap_tax_amount,
         S.total_amount, S.currency, S.payment_status, S.fulfillment_status,
+        S.fulfillment_status = 'Cancelled',
         S.created_at, S.updated_at
-      )
+      );
+
+    COMMIT TRANSACTION;
   `;
 
   const [ordersJob] = await bigquery.createQueryJob({ query: ordersMergeQuery });
   await ordersJob.getQueryResults();
 
   // ■ order_items テーブルへのMERGE
-  // 修正点: 重複排除（QUALIFY）を復活させました。
-  // 解説: line_item_id はAmazon側で一意のIDです。
-  // ここで重複が出る＝通信エラー等で同じ行を2回取得してしまった、という意味です。
-  // なので、エラーで止めるのではなく「最新の1つ」を採用するのが正しい処理です。
+  // 明細は (order_id, channel, sku) で照合する（line_item_id は buildLineItemId の '{注文ID}-{SKU}'）
+  // 旧形式のキー（order-item-id / OrderItemId / '{注文ID}-1'）で登録済みの行も同じ明細として更新し、キーを揃える
+  // 同じ明細が重複して取得された場合は「最新の1つ」を採用する
   const itemsMergeQuery = `
     MERGE \`${datasetId}.${orderItemsTableId}\` T
     USING (
@@ -636,32 +2316,38 @@ async function mergeToMainTables(channel) {
         quantity,
         unit_price,
         line_total,
+        discount_amount,
+        gift_wrap_amount,
         currency,
-        0 as quantity_fulfilled,
-        quantity as quantity_unfulfilled,
+        quantity_fulfilled,
         created_at
       FROM \`${datasetId}.${tempTableId}\`
       -- ここで重複排除を行います
-      QUALIFY ROW_NUMBER() OVER (PARTITION BY order_id, line_item_id ORDER BY created_at DESC) = 1
+      QUALIFY ROW_NUMBER() OVER (PARTITION BY order_id, channel, sku ORDER BY created_at DESC) = 1
     ) S
-    ON T.order_id = S.order_id AND T.channel = S.channel AND T.line_item_id = S.line_item_id
+    ON T.order_id = S.order_id AND T.channel = S.channel AND T.sku = S.sku
     WHEN MATCHED THEN
       UPDATE SET
-        sku = S.sku,
+        line_item_id = S.line_item_id,
         product_name = S.product_name,
         quantity = S.quantity,
         unit_price = S.unit_price,
-        line_total = S.line_total
+        line_total = S.line_total,
+        discount_amount = S.discount_amount,
+        gift_wrap_amount = S.gift_wrap_amount,
+        -- 出荷数量が取得できなかった行（NULL）は既存の値を維持
+        quantity_fulfilled = COALESCE(S.quantity_fulfilled, T.quantity_fulfilled),
+        quantity_unfulfilled = S.quantity - COALESCE(S.quantity_fulfilled, T.quantity_fulfilled, 0)
     WHEN NOT MATCHED THEN
       INSERT (
         order_id, channel, line_item_id, sku, product_name,
-        quantity, unit_price, line_total, currency,
+        quantity, unit_price, line_total, discount_amount, gift_wrap_amount, currency,
         quantity_fulfilled, quantity_unfulfilled, created_at
       )
       VALUES (
         S.order_id, S.channel, S.line_item_id, S.sku, S.product_name,
-        S.quantity, S.unit_price, S.line_total, S.currency,
-        S.quantity_fulfilled, S.quantity_unfulfilled, S.created_at
+        S.quantity, S.unit_price, S.line_total, S.discount_amount, S.gift_wrap_amount, S.currency,
+        COALESCE(S.quantity_fulfilled, 0), S.quantity - COALESCE(S.quantity_fulfilled, 0), S.created_at
       )
   `;
 
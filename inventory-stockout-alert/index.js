@@ -8,7 +8,7 @@ const datasetId = 'andcore_main';
  * 在庫切れアラート機能
  * 
  * 機能:
- * - 過去30日の販売数から在庫切れ予測
+ * - 過去30日の販売数（キャンセル注文を除く）から在庫切れ予測
  * - Critical/Warning判定
  * - Slack通知
  * - stockout_alertテーブルに記録
@@ -36,6 +36,7 @@ exports.checkStockoutAlert = async (req, res) => {
         LEFT JOIN \`${datasetId}.product_master\` pm
           ON cs.master_sku = pm.master_sku
         WHERE o.order_date >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL 30 DAY)
+          AND ${await notCancelledCondition()}  -- キャンセル注文は販売数に含めない（sales_ordersビューと同じ条件）
           AND cs.master_sku IS NOT NULL
         GROUP BY cs.master_sku, pm.product_name
         HAVING SUM(oi.quantity) > 0
@@ -282,6 +283,20 @@ async function sendSlackNotification(alerts) {
   }
 }
 
+/**
+ * キャンセル注文を除く条件（orders の別名 o）
+ *
+ * is_cancelled は注文同期が後から追加する列のため、まだ無い場合は Amazon のステータスで判定
+ */
+async function notCancelledCondition() {
+  const [metadata] = await bigquery.dataset(datasetId).table('orders').getMetadata();
+  const hasIsCancelled = metadata.schema.fields.some(field => field.name === 'is_cancelled');
+
+  return hasIsCancelled
+    ? 'o.is_cancelled IS NOT TRUE'
+    : "IFNULL(o.fulfillment_status, '') != 'Cancelled'";
+}
+
 /**
  * 在庫切れ予測日を計算
  */
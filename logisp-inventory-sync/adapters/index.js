@@ -0,0 +1,13 @@
+/**
+ * 外部倉庫アダプター一覧
+ *
+ * アダプターのインターフェース:
+ * - auth: 認証方式（{ type: 'header', header } / { type: 'bearer' }、倉庫の auth で上書き可能）
+ * - fetch(warehouse, authHeaders): APIから在庫レコード（生データ）を全件取得
+ * - normalize(records, warehouse): { items: [{ sku, quantity }], errors: [{ index, reason, ... }] }
+ *   （SKUなし・数量が不正なレコードは items に入れず errors で返す）
+ */
+
+module.exports = {
+  logisp: require('./logisp')
+};
@@ -0,0 +1,34 @@
+/**
+ * ロジスピ アダプター
+ *
+ * - 認証: X-API-Key ヘッダー
+ * - page / per_page でページ送り、inventories 配列（ルートが配列のレスポンスも可）の sku / quantity
+ *   （従来の実装で受け付けていた SKU・itemCode / stock・available も同じ順で参照）
+ */
+
+const { loadFieldMapping, fetchPaginatedRecords, validateRecords } = require('./rest');
+
+// レスポンスのフィールド定義（倉庫の fieldMappingEnv で上書き可能）
+const DEFAULT_FIELD_MAPPING = {
+  recordsField: 'inventories',   // レコード配列のフィールド（空文字・フィールドが無い場合はレスポンス全体が配列）
+  skuField: ['sku', 'SKU', 'itemCode'],                // 配列の場合は先頭から値のあるフィールドを使用
+  quantityField: ['quantity', 'stock', 'available'],
+  pageParam: 'page',             // ページ番号（1始まり）のクエリパラメータ
+  perPageParam: 'per_page',
+  perPage: 100,
+  nextPageField: 'next_page'     // 次ページ番号のフィールド（レスポンスに無い場合は件数がperPageと同じなら次へ）
+};
+
+module.exports = {
+  auth: { type: 'header', header: 'X-API-Key' },
+
+  fetch(warehouse, authHeaders) {
+    const fieldMapping = loadFieldMapping(DEFAULT_FIELD_MAPPING, warehouse.fieldMappingEnv);
+    return fetchPaginatedRecords(warehouse.apiUrl, authHeaders, fieldMapping, warehouse.name);
+  },
+
+  normalize(records, warehouse) {
+    const fieldMapping = loadFieldMapping(DEFAULT_FIELD_MAPPING, warehouse.fieldMappingEnv);
+    return validateRecords(records, fieldMapping);
+  }
+};
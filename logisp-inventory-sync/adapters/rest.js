@@ -0,0 +1,226 @@
+/**
+ * 外部倉庫アダプター共通: REST API（JSON）の取得・検証
+ *
+ * - 認証方式ごとのヘッダー作成
+ * - ページ送り（次ページ番号 または 件数で判定）
+ * - 接続エラー・タイムアウト・429 / 5xx は指数バックオフで再試行
+ * - フィールド定義に沿ったレコード検証（{ sku, quantity } に正規化）
+ */
+
+const axios = require('axios');
+
+// 取得設定
+const REQUEST_TIMEOUT_MS = 30000;
+const MAX_PAGES = 1000;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+/**
+ * 認証ヘッダー作成
+ *
+ * - { type: 'header', header }: 指定ヘッダーにAPIキー
+ * - { type: 'bearer' }: Authorization: Bearer {APIキー}
+ */
+function buildAuthHeaders(auth, credential) {
+  switch (auth.type) {
+    case 'header':
+      return { [auth.header]: credential };
+    case 'bearer':
+      return { Authorization: `Bearer ${credential}` };
+    default:
+      throw new Error(`未対応の認証方式です: ${auth.type}`);
+  }
+}
+
+/**
+ * フィールド定義取得（環境変数のJSONでデフォルトを上書き）
+ */
+function loadFieldMapping(defaultFieldMapping, envName) {
+  if (!envName || !process.env[envName]) {
+    return defaultFieldMapping;
+  }
+
+  try {
+    return { ...defaultFieldMapping, ...JSON.parse(process.env[envName]) };
+  } catch (error) {
+    throw new Error(`${envName} がJSONではありません: ${error.message}`);
+  }
+}
+
+/**
+ * APIから在庫レコードを全ページ取得
+ */
+async function fetchPaginatedRecords(url, headers, fieldMapping, label) {
+  console.log(`${label} API呼び出し中...`);
+  console.log('URL:', url);
+
+  const records = [];
+  let page = 1;
+  let previousPageSignature = null;
+
+  while (page) {
+    if (page > MAX_PAGES) {
+      throw new Error(`${label} APIのページ数が上限（${MAX_PAGES}ページ）を超えました`);
+    }
+
+    const data = await requestPage(url, headers, {
+      [fieldMapping.pageParam]: page,
+      [fieldMapping.perPageParam]: fieldMapping.perPage
+    }, label);
+
+    if (page === 1) {
+      console.log('API Response Sample:', JSON.stringify(data).slice(0, 300));
+    }
+
+    const pageRecords = pickPageRecords(data, fieldMapping);
+
+    if (!Array.isArray(pageRecords)) {
+      console.error('❌ APIレスポンスが配列ではありません:', typeof pageRecords);
+      console.error('Response:', JSON.stringify(data).slice(0, 1000));
+      throw new Error(`APIレスポンスの${fieldMapping.recordsField || 'ルート'}が配列ではありません: ${typeof pageRecords}`);
+    }
+
+    // ページ指定に対応していないAPIは同じ内容を返すため、前のページと同じなら終了
+    const pageSignature = JSON.stringify(pageRecords);
+    if (pageRecords.length > 0 && pageSignature === previousPageSignature) {
+      console.warn(`⚠️ ページ${page}が前のページと同じ内容のため終了します`);
+      break;
+    }
+    previousPageSignature = pageSignature;
+
+    records.push(...pageRecords);
+    console.log(`✅ ページ${page}: ${pageRecords.length}件`);
+
+    // 次ページ番号がレスポンスにあればそれに従い、無ければ件数がちょうどperPageの場合のみ次へ
+    if (data && !Array.isArray(data) && fieldMapping.nextPageField in data) {
+      page = data[fieldMapping.nextPageField] || null;
+    } else {
+      page = pageRecords.length === fieldMapping.perPage ? page + 1 : null;
+    }
+  }
+
+  console.log(`✅ 在庫データ取得成功: ${records.length}件`);
+  return records;
+}
+
+/**
+ * レスポンスからレコード配列を取り出す
+ *
+ * ルートが配列のレスポンス、recordsField が無いレスポンスはレスポンス全体を使用
+ * （従来の実装の response.data.inventories || response.data と同じ）
+ */
+function pickPageRecords(data, fieldMapping) {
+  if (Array.isArray(data) || !fieldMapping.recordsField || !data) {
+    return data;
+  }
+
+  return data[fieldMapping.recordsField] !== undefined ? data[fieldMapping.recordsField] : data;
+}
+
+/**
+ * APIを1ページ呼び出し（接続エラー・タイムアウト・429 / 5xx は指数バックオフで再試行）
+ */
+async function requestPage(url, headers, params, label) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.get(url, {
+        headers,
+        params,
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      return response.data;
+
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const retryable = status ? RETRYABLE_STATUS_CODES.includes(status) : !!error.request;
+
+      if (retryable && attempt < MAX_RETRIES) {
+        const waitMs = BASE_BACKOFF_MS * 2 ** attempt;
+        console.warn(`⚠️ ${label} API ${status || error.code || error.message}: ${waitMs}ms後に再試行（${attempt + 1}/${MAX_RETRIES}）`);
+        await sleep(waitMs);
+        continue;
+      }
+
+      if (error.response) {
+        // APIからのエラーレスポンス
+        console.error(`❌ ${label} API Error Response:`);
+        console.error('  Status:', error.response.status);
+        console.error('  Data:', JSON.stringify(error.response.data));
+        throw new Error(`${label} API Error ${error.response.status}: ${JSON.stringify(error.response.data)}`);
+      } else if (error.request) {
+        // リクエストが送信されたがレスポンスなし
+        console.error(`❌ ${label} APIへの接続エラー:`, error.code || error.message);
+        throw new Error(`${label} APIへの接続エラー（${error.code || error.message}、${MAX_RETRIES}回再試行）`);
+      } else {
+        console.error('❌ リクエスト設定エラー:', error.message);
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * フィールド定義に沿ってレコードを検証（{ sku, quantity } に正規化）
+ *
+ * skuField / quantityField は配列も可（先頭から値のあるフィールドを使用）
+ * SKUが無い・数量が無い / 0以上の整数でないレコードは0件扱いにせず errors に入れる
+ */
+function validateRecords(records, fieldMapping) {
+  const items = [];
+  const errors = [];
+  const skuLabel = [].concat(fieldMapping.skuField).join(' / ');
+  const quantityLabel = [].concat(fieldMapping.quantityField).join(' / ');
+
+  records.forEach((record, index) => {
+    const sku = String(pickField(record, fieldMapping.skuField) ?? '').trim();
+    const rawQuantity = pickField(record, fieldMapping.quantityField);
+    const quantity = typeof rawQuantity === 'string' && rawQuantity.trim() !== '' ? Number(rawQuantity) : rawQuantity;
+
+    if (!sku) {
+      errors.push({ index, reason: `${skuLabel}がありません`, record });
+    } else if (rawQuantity === undefined || rawQuantity === null || rawQuantity === '') {
+      errors.push({ index, sku, reason: `${quantityLabel}がありません`, record });
+    } else if (!Number.isInteger(quantity) || quantity < 0) {
+      errors.push({ index, sku, reason: `${quantityLabel}が0以上の整数ではありません: ${JSON.stringify(rawQuantity)}`, record });
+    } else {
+      items.push({ sku, quantity });
+    }
+  });
+
+  if (errors.length > 0) {
+    console.warn(`⚠️ 不正なレコード: ${errors.length}件（例: ${errors[0].reason}）`);
+  }
+
+  return { items, errors };
+}
+
+/**
+ * レコードから値を取得（fields が配列の場合は先頭から値のあるフィールド）
+ */
+function pickField(record, fields) {
+  if (!record) return undefined;
+
+  for (const field of [].concat(fields)) {
+    const value = record[field];
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * スリープ
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  buildAuthHeaders,
+  loadFieldMapping,
+  fetchPaginatedRecords,
+  validateRecords
+};
@@ -1,97 +1,114 @@
 /**
- * ロジスピ外部倉庫 在庫同期 Cloud Function
+ * 外部倉庫 在庫同期 Cloud Function（ロジスピほか）
  * 
  * 機能:
- * - ロジスピAPIから在庫取得
- * - ケース在庫を個数に変換
- * - BigQueryに保存（重複回避）
+ * - warehouses.js に登録した倉庫ごとに、アダプターでAPIから在庫取得（ページネーション、一時的なエラーは再試行）
+ * - フィールド定義に沿って各レコードを検証（SKUなし・数量が数値でないレコードは除外してレスポンスで返す）
+ * - channel_settings（account_name: 倉庫の accountName）でSKU紐付け・ケース在庫を個数に変換
+ * - BigQueryに保存（重複回避）、在庫数が変わった行は stock_movement_log に記録
  * 
  * 環境変数:
- * - LOGISP_API_KEY: ロジスピAPIキー
+ * - 倉庫ごとのAPIキー・フィールド定義（warehouses.js の credentialEnv / fieldMappingEnv）
+ *   ロジスピ: LOGISP_API_KEY, LOGISP_FIELD_MAPPING, LOGISP_API_URL
  * 
  * パラメータ:
- * - なし（定期実行想定）
+ * - warehouse: 倉庫ID（カンマ区切りで複数指定可、未指定・'all' は登録済みの全倉庫）
+ *   syncLogispInventory はロジスピのみ（従来のエントリポイント）
  */
 
 const functions = require('@google-cloud/functions-framework');
 const { BigQuery } = require('@google-cloud/bigquery');
-const axios = require('axios');
+const WAREHOUSES = require('./warehouses');
+const adapters = require('./adapters');
+const { buildAuthHeaders } = require('./adapters/rest');
+const { createRunId, mergeWithMovementLog } = require('./lib/stock-movement-log');
 
 const bigquery = new BigQuery();
 const datasetId = 'andcore_main';
 const inventoryTableId = 'inventory';
 const productMasterTableId = 'product_master';
 
-// ロジスピAPI設定
-// 注意: 実際のロジスピAPIのURLを確認してください
-// 環境変数で上書き可能
-const LOGISP_API_URL = process.env.LOGISP_API_URL || 
-  'https://asia-northeast1-logisp-production.cloudfunctions.net/inventories';
+// 不正レコードとしてレスポンスに含めるサンプル件数
+const MAX_REJECTED_SAMPLES = 20;
 
-console.log('ロジスピAPI URL:', LOGISP_API_URL);
+// 在庫移動ログ（stock_movement_log）に記録する実行元の関数名
+const SOURCE_FUNCTION = 'syncWarehouseInventory';
 
-functions.http('syncLogispInventory', async (req, res) => {
+functions.http('syncWarehouseInventory', (req, res) => syncWarehouseInventory(req.query.warehouse, res));
+functions.http('syncLogispInventory', (req, res) => syncWarehouseInventory('logisp', res));
+
+/**
+ * 指定した倉庫（または全倉庫）の在庫同期
+ * 複数倉庫の場合は失敗した倉庫を結果に記録して次の倉庫へ進む（全倉庫失敗時のみ500）
+ */
+async function syncWarehouseInventory(warehouseParam, res) {
   const startTime = Date.now();
+  const runId = createRunId(SOURCE_FUNCTION);
   
   try {
-    console.log('=== ロジスピ在庫同期開始 ===');
-    console.log('Environment check...');
+    const warehouseIds = resolveWarehouseIds(warehouseParam);
+    console.log(`=== 外部倉庫在庫同期開始: ${warehouseIds.join(', ')}（run_id: ${runId}） ===`);
     
-    // 環境変数チェック
-    const apiKey = process.env.LOGISP_API_KEY;
-    if (!apiKey) {
-      const error = '環境変数 LOGISP_API_KEY が設定されていません';
-      console.error('❌ ERROR:', error);
-      return res.status(500).json({
-        success: false,
-        error: error,
-        hint: 'Cloud Functionsの環境変数にLOGISP_API_KEYを設定してください'
-      });
+    const inventoryRows = [];
+    const syncedLocations = [];
+    const results = [];
+    
+    for (const warehouseId of warehouseIds) {
+      const result = { warehouse: warehouseId };
+      
+      try {
+        const { rows, ...summary } = await fetchWarehouseInventory(warehouseId, WAREHOUSES[warehouseId]);
+        inventoryRows.push(...rows);
+        Object.assign(result, summary);
+        
+        // 不正レコードで除外したSKUがある倉庫は、取得できなかったSKUを在庫0にしない
+        if (rows.length > 0 && summary.rejected.count === 0) {
+          syncedLocations.push(WAREHOUSES[warehouseId].location);
+        } else if (summary.rejected.count > 0) {
+          console.warn(`⚠️ ${warehouseId}: 不正レコードがあるため、今回取得できなかったSKUの在庫0更新をスキップします`);
+        }
+      } catch (error) {
+        if (warehouseIds.length === 1) throw error;
+        
+        console.error(`❌ ${warehouseId} 取得エラー:`, error);
+        result.error = error.message;
+      }
+      
+      results.push(result);
     }
-    console.log('✅ API Key found');
     
-    // Step 1: ロジスピAPIから在庫取得
-    console.log('ロジスピAPIから在庫取得中...');
-    const inventoryData = await fetchLogispInventory(apiKey);
-    console.log(`取得件数: ${inventoryData.length}件`);
+    const succeededCount = results.filter(result => !result.error).length;
     
-    if (inventoryData.length === 0) {
+    // BigQueryに保存（MERGE方式、全倉庫まとめて）
+    let stockMovements = 0;
+    if (inventoryRows.length > 0) {
+      console.log('BigQueryに保存中...');
+      stockMovements = await saveInventoryToBigQuery(inventoryRows, syncedLocations, runId);
+      console.log('保存完了');
+    } else {
       console.log('在庫データが0件です');
-      return res.json({
-        success: true,
-        message: '在庫データが0件でした',
-        execution_time: `${(Date.now() - startTime) / 1000}秒`
-      });
     }
     
-    // Step 2: 商品マスタ取得（ケース変換用）
-    console.log('商品マスタ取得中...');
-    const productMaster = await fetchProductMaster();
-    console.log(`商品マスタ件数: ${Object.keys(productMaster).length}件`);
-    
-    // Step 3: 在庫データ変換（ケース→個数変換）
-    console.log('在庫データ変換中...');
-    const inventoryRows = convertInventoryData(inventoryData, productMaster);
-    console.log(`変換後件数: ${inventoryRows.length}件`);
-    
-    // Step 4: BigQueryに保存（MERGE方式）
-    console.log('BigQueryに保存中...');
-    await saveInventoryToBigQuery(inventoryRows);
-    console.log('保存完了');
-    
     // 完了
     const executionTime = (Date.now() - startTime) / 1000;
-    console.log(`=== ロジスピ在庫同期完了 ===`);
+    console.log(`=== 外部倉庫在庫同期完了（${succeededCount}/${results.length}倉庫成功） ===`);
     console.log(`実行時間: ${executionTime}秒`);
     
-    res.json({
-      success: true,
-      message: 'ロジスピ在庫同期が完了しました',
+    res.status(succeededCount === 0 ? 500 : 200).json({
+      success: succeededCount === results.length,
+      message: inventoryRows.length > 0
+        ? `外部倉庫在庫同期が完了しました（${succeededCount}/${results.length}倉庫成功）`
+        : '在庫データが0件でした',
       stats: {
-        fetched: inventoryData.length,
+        warehouses: results.length,
+        succeeded: succeededCount,
+        failed: results.length - succeededCount,
         converted: inventoryRows.length,
-        case_products: inventoryRows.filter(r => r.is_case_converted).length
+        case_products: inventoryRows.filter(r => r.is_case_converted).length,
+        stock_movements: stockMovements
       },
+      warehouses: results.map(result => ({ ...result, success: !result.error })),
+      run_id: runId,
       execution_time: `${executionTime}秒`
     });
     
@@ -104,65 +121,87 @@ functions.http('syncLogispInventory', async (req, res) => {
       execution_time: `${(Date.now() - startTime) / 1000}秒`
     });
   }
-});
+}
 
 /**
- * ロジスピAPIから在庫取得
+ * 対象倉庫の決定（warehouse パラメータ）
  */
-async function fetchLogispInventory(apiKey) {
-  try {
-    console.log('ロジスピAPI呼び出し中...');
-    console.log('URL:', LOGISP_API_URL);
-    
-    const response = await axios.get(LOGISP_API_URL, {
-      headers: {
-        'X-API-Key': apiKey
-      },
-      timeout: 30000 // 30秒タイムアウト
-    });
-    
-    console.log('✅ API Response Status:', response.status);
-    console.log('API Response Sample:', JSON.stringify(response.data).slice(0, 300));
-    
-    // データ形式に応じて処理
-    const inventories = response.data.inventories || response.data;
-    
-    if (!Array.isArray(inventories)) {
-      console.error('❌ APIレスポンスが配列ではありません:', typeof inventories);
-      console.error('Response:', JSON.stringify(response.data));
-      throw new Error(`APIレスポンスが配列ではありません: ${typeof inventories}`);
-    }
-    
-    console.log(`✅ 在庫データ取得成功: ${inventories.length}件`);
-    return inventories;
-    
-  } catch (error) {
-    if (error.response) {
-      // APIからのエラーレスポンス
-      console.error('❌ ロジスピAPI Error Response:');
-      console.error('  Status:', error.response.status);
-      console.error('  Data:', JSON.stringify(error.response.data));
-      throw new Error(`ロジスピAPI Error ${error.response.status}: ${JSON.stringify(error.response.data)}`);
-    } else if (error.request) {
-      // リクエストが送信されたがレスポンスなし
-      console.error('❌ ロジスピAPIへの接続タイムアウト');
-      console.error('  Request config:', error.config);
-      throw new Error('ロジスピAPIへの接続タイムアウト（30秒）');
-    } else {
-      console.error('❌ リクエスト設定エラー:', error.message);
-      throw error;
-    }
+function resolveWarehouseIds(warehouseParam) {
+  if (!warehouseParam || warehouseParam === 'all') {
+    return Object.keys(WAREHOUSES);
   }
+  
+  const warehouseIds = String(warehouseParam).split(',').map(id => id.trim()).filter(Boolean);
+  const unknown = warehouseIds.filter(id => !WAREHOUSES[id]);
+  if (unknown.length > 0) {
+    throw new Error(`登録されていない倉庫です: ${unknown.join(', ')}（登録済み: ${Object.keys(WAREHOUSES).join(', ')}）`);
+  }
+  
+  return warehouseIds;
+}
+
+/**
+ * 1倉庫の在庫取得 → 検証 → SKU紐付け・ケース変換
+ */
+async function fetchWarehouseInventory(warehouseId, warehouse) {
+  const adapter = adapters[warehouse.adapter];
+  if (!adapter) {
+    throw new Error(`アダプターが見つかりません: ${warehouse.adapter}（倉庫: ${warehouseId}）`);
+  }
+  
+  // 環境変数チェック
+  const credential = process.env[warehouse.credentialEnv];
+  if (!credential) {
+    throw new Error(`環境変数 ${warehouse.credentialEnv} が設定されていません（Cloud Functionsの環境変数に設定してください）`);
+  }
+  
+  // Step 1: APIから在庫取得 + フィールド定義で検証
+  console.log(`--- ${warehouse.name}（${warehouseId}）在庫取得中... ---`);
+  const authHeaders = buildAuthHeaders(warehouse.auth || adapter.auth, credential);
+  const records = await adapter.fetch(warehouse, authHeaders);
+  const { items, errors } = adapter.normalize(records, warehouse);
+  console.log(`取得件数: ${records.length}件（有効: ${items.length}件、除外: ${errors.length}件）`);
+  
+  if (items.length === 0) {
+    return { rows: [], fetched: records.length, converted: 0, rejected: summarizeRejected(errors) };
+  }
+  
+  // Step 2: 商品マスタ取得（ケース変換用）
+  console.log('商品マスタ取得中...');
+  const productMaster = await fetchProductMaster(warehouse);
+  console.log(`商品マスタ件数: ${Object.keys(productMaster).length}件`);
+  
+  // Step 3: 在庫データ変換（ケース→個数変換）
+  console.log('在庫データ変換中...');
+  const rows = convertInventoryData(items, productMaster, warehouse);
+  console.log(`変換後件数: ${rows.length}件`);
+  
+  return {
+    rows,
+    fetched: records.length,
+    converted: rows.length,
+    rejected: summarizeRejected(errors)
+  };
+}
+
+/**
+ * 不正レコードの件数とサンプル
+ */
+function summarizeRejected(errors) {
+  return {
+    count: errors.length,
+    samples: errors.slice(0, MAX_REJECTED_SAMPLES)
+  };
 }
 
 /**
  * 商品マスタ取得（ケース変換情報含む）
  */
-async function fetchProductMaster() {
+async function fetchProductMaster(warehouse) {
   try {
     console.log('商品マスタ（SKU紐付け + ケース情報）取得中...');
     
-    // channel_settingsから取得（ロジスピのSKU紐付け＋ケース情報）
+    // channel_settingsから取得（倉庫のSKU紐付け＋ケース情報）
     const query = `
       SELECT 
         cs.channel_sku,
@@ -171,11 +210,11 @@ async function fetchProductMaster() {
         COALESCE(cs.is_case_unit, FALSE) as is_case_unit,
         COALESCE(cs.units_per_case, 1) as units_per_case
       FROM \`${datasetId}.channel_settings\` cs
-      WHERE cs.account_name = 'ロジスピ'
+      WHERE cs.account_name = @accountName
         AND cs.is_enabled = TRUE
     `;
     
-    const [rows] = await bigquery.query(query);
+    const [rows] = await bigquery.query({ query, params: { accountName: warehouse.accountName } });
     
     console.log(`✅ クエリ実行成功: ${rows.length}件`);
     
@@ -192,10 +231,10 @@ async function fetchProductMaster() {
       console.log(`  マッピング: ${row.channel_sku} → ${row.master_sku} (ケース単位: ${row.is_case_unit}, 倍率: ${row.units_per_case})`);
     });
     
-    console.log(`✅ ロジスピSKUマップ登録数: ${Object.keys(masterMap).length}`);
+    console.log(`✅ ${warehouse.name}SKUマップ登録数: ${Object.keys(masterMap).length}`);
     
     if (Object.keys(masterMap).length === 0) {
-      console.warn('⚠️  ロジスピのSKU紐付けが0件です。channel_settingsに登録してください。');
+      console.warn(`⚠️  ${warehouse.name}のSKU紐付けが0件です。channel_settings（account_name: ${warehouse.accountName}）に登録してください。`);
     }
     
     return masterMap;
@@ -209,19 +248,14 @@ async function fetchProductMaster() {
 /**
  * 在庫データ変換（ケース→個数変換）
  */
-function convertInventoryData(inventoryData, productMaster) {
+function convertInventoryData(inventoryData, productMaster, warehouse) {
   const now = new Date().toISOString();
   const rows = [];
   
   inventoryData.forEach(item => {
-    // APIレスポンスのフィールド名を想定
-    const sku = item.sku || item.SKU || item.itemCode;
-    let quantity = parseInt(item.quantity || item.stock || item.available || 0);
-    
-    if (!sku) {
-      console.warn('⚠️  SKUが見つかりません:', item);
-      return;
-    }
+    // アダプターのnormalizeで正規化済み
+    const sku = item.sku;
+    let quantity = item.quantity;
     
     // channel_settingsから情報取得
     const product = productMaster[sku];
@@ -231,8 +265,8 @@ function convertInventoryData(inventoryData, productMaster) {
       console.warn(`⚠️  SKUマッピングが見つかりません: ${sku} - そのまま保存します`);
       rows.push({
         sku: sku,
-        location: 'ロジスピ',
-        location_type: 'External',
+        location: warehouse.location,
+        location_type: warehouse.locationType,
         available_quantity: quantity,
         reserved_quantity: 0,
         inbound_quantity: 0,
@@ -261,8 +295,8 @@ function convertInventoryData(inventoryData, productMaster) {
     
     rows.push({
       sku: finalSku,
-      location: 'ロジスピ',
-      location_type: 'External',
+      location: warehouse.location,
+      location_type: warehouse.locationType,
       available_quantity: quantity,
       reserved_quantity: 0,
       inbound_quantity: 0,
@@ -279,17 +313,19 @@ function convertInventoryData(inventoryData, productMaster) {
 }
 
 /**
- * BigQueryに保存（MERGE方式）
+ * BigQueryに保存（MERGE方式、変化した在庫は stock_movement_log に記録）
+ * syncedLocations の保存済み行のうち今回取得できなかったSKUは在庫0に更新
+ * 戻り値: 記録した在庫移動の件数
  */
-async function saveInventoryToBigQuery(inventoryRows) {
+async function saveInventoryToBigQuery(inventoryRows, syncedLocations, runId) {
   if (inventoryRows.length === 0) {
     console.log('保存するデータがありません');
-    return;
+    return 0;
   }
   
   // 一時テーブル作成
   const timestamp = Date.now();
-  const tempTableId = `inventory_temp_logisp_${timestamp}`;
+  const tempTableId = `inventory_temp_external_${timestamp}`;
   
   console.log(`一時テーブル作成: ${tempTableId}`);
   
@@ -332,8 +368,8 @@ async function saveInventoryToBigQuery(inventoryRows) {
   console.log('ストリーミングバッファ待機中（90秒）...');
   await sleep(90000);
   
-  // MERGE実行
-  console.log('MERGE実行中...');
+  // 在庫移動ログ記録 + MERGE実行（同じトランザクション）
+  console.log('在庫移動ログ記録・MERGE実行中...');
   const projectId = await bigquery.getProjectId();
   
   const mergeQuery = `
@@ -361,13 +397,22 @@ async function saveInventoryToBigQuery(inventoryRows) {
       )
   `;
   
-  await bigquery.query(mergeQuery);
+  const movements = await mergeWithMovementLog(bigquery, {
+    datasetId,
+    tempTableId,
+    mergeQuery,
+    sourceFunction: SOURCE_FUNCTION,
+    runId,
+    syncedLocations
+  });
   console.log('MERGE完了');
   
   // 一時テーブル削除
   console.log('一時テーブル削除中...');
   await bigquery.dataset(datasetId).table(tempTableId).delete({ ignoreNotFound: true });
   console.log('一時テーブル削除完了');
+  
+  return movements;
 }
 
 /**
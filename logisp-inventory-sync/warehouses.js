@@ -0,0 +1,31 @@
+/**
+ * 外部倉庫の登録
+ *
+ * 倉庫を追加する場合は adapters/ にアダプター（同じAPIなら既存を利用）を追加し、ここに登録する
+ *
+ * - name: ログ・レスポンス用の表示名
+ * - adapter: adapters/index.js のアダプター名
+ * - location / locationType: inventory.location / inventory.location_type
+ * - accountName: channel_settings.account_name（SKU紐付け・ケース変換）
+ * - apiUrl: APIのURL
+ * - credentialEnv: APIキーの環境変数名
+ * - fieldMappingEnv: フィールド定義を上書きする環境変数名（JSON）
+ * - auth: 認証方式（省略時はアダプターの方式）
+ */
+
+const WAREHOUSES = {
+  logisp: {
+    name: 'ロジスピ',
+    adapter: 'logisp',
+    location: 'ロジスピ',
+    locationType: 'External',
+    accountName: 'ロジスピ',
+    // 注意: 実際のロジスピAPIのURLを確認してください（環境変数で上書き可能）
+    apiUrl: process.env.LOGISP_API_URL ||
+      'https://asia-northeast1-logisp-production.cloudfunctions.net/inventories',
+    credentialEnv: 'LOGISP_API_KEY',
+    fieldMappingEnv: 'LOGISP_FIELD_MAPPING'
+  }
+};
+
+module.exports = WAREHOUSES;
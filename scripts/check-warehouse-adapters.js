@@ -0,0 +1,67 @@
+/**
+ * 外部倉庫アダプターのレスポンス形式の確認（APIは呼ばずに、axios を固定のレスポンスに置き換えて実行）
+ *
+ * ロジスピの既定のフィールド定義で、次のどちらの形式も同じレコードとして取得できることを確認する
+ * - { inventories: [...] }
+ * - [...]（ルートが配列。従来の実装で受け付けていた形式）
+ *
+ * 使い方:
+ *   node scripts/check-warehouse-adapters.js
+ */
+
+const Module = require('module');
+const assert = require('assert');
+
+const RECORDS = [
+  { sku: 'SKU-1', quantity: 5 },
+  { SKU: 'SKU-2', stock: 0 }
+];
+
+const RESPONSE_SHAPES = {
+  'inventories配列': { inventories: RECORDS },
+  'ルートが配列': RECORDS
+};
+
+// adapters/rest.js が読み込む axios を、現在の形式のレスポンスを返すものに置き換える
+let currentResponse = null;
+const originalLoad = Module._load;
+Module._load = function (request, ...args) {
+  if (request === 'axios') {
+    return { get: async () => ({ data: currentResponse }) };
+  }
+  return originalLoad.call(this, request, ...args);
+};
+
+const logisp = require('../logisp-inventory-sync/adapters/logisp');
+
+async function main() {
+  const warehouse = { name: 'ロジスピ（確認）', apiUrl: 'https://example.invalid/inventories' };
+  const failed = [];
+
+  for (const [shapeName, response] of Object.entries(RESPONSE_SHAPES)) {
+    currentResponse = response;
+    try {
+      const records = await logisp.fetch(warehouse, {});
+      const { items, errors } = logisp.normalize(records, warehouse);
+
+      assert.deepStrictEqual(items, [
+        { sku: 'SKU-1', quantity: 5 },
+        { sku: 'SKU-2', quantity: 0 }
+      ]);
+      assert.strictEqual(errors.length, 0);
+      console.log(`OK: ${shapeName}`);
+    } catch (error) {
+      console.error(`NG: ${shapeName}: ${error.message}`);
+      failed.push(shapeName);
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(`レスポンス形式の確認に失敗しました: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log('外部倉庫アダプターのレスポンス形式の確認完了');
+}
+
+main();
@@ -0,0 +1,77 @@
+/**
+ * 共通モジュールを各Cloud Functionのディレクトリにコピー
+ *
+ * Cloud Functionsは関数のディレクトリだけをアップロードするため、リポジトリ直下の共通モジュールは
+ * 各関数の lib/ にコピーしてコミットしておく（package.json で ../ を参照しない）
+ *
+ * 使い方:
+ *   node scripts/vendor-shared-modules.js          # コピーを更新
+ *   node scripts/vendor-shared-modules.js --check  # コピーが最新か確認（デプロイ前）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// 共通モジュール → コピー先の関数ディレクトリ
+const SHARED_MODULES = {
+  'sp-api-client': [
+    'amazon-orders-sync-reports',
+    'amazon-fba-inventory-sync'
+  ],
+  'shopify-client': [
+    'shopify-orders-sync',
+    'shopify-inventory-sync',
+    'shopify-catalog-sync'
+  ],
+  'stock-movement-log': [
+    'amazon-fba-inventory-sync',
+    'logisp-inventory-sync',
+    'shopify-inventory-sync'
+  ]
+};
+
+/**
+ * コピー内容（直接編集されないよう先頭に元ファイルを記載）
+ */
+function buildVendoredSource(moduleName) {
+  const source = fs.readFileSync(path.join(ROOT, moduleName, 'index.js'), 'utf8');
+  return `// このファイルは ${moduleName}/index.js のコピーです。直接編集せず、元ファイルを修正して\n` +
+    `// node scripts/vendor-shared-modules.js を実行してください\n\n${source}`;
+}
+
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const outdated = [];
+
+  for (const [moduleName, functionDirs] of Object.entries(SHARED_MODULES)) {
+    const vendored = buildVendoredSource(moduleName);
+
+    for (const functionDir of functionDirs) {
+      const target = path.join(ROOT, functionDir, 'lib', `${moduleName}.js`);
+      const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+
+      if (current === vendored) continue;
+
+      if (checkOnly) {
+        outdated.push(path.relative(ROOT, target));
+        continue;
+      }
+
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, vendored);
+      console.log(`更新: ${path.relative(ROOT, target)}`);
+    }
+  }
+
+  if (outdated.length > 0) {
+    console.error(`共通モジュールのコピーが古くなっています: ${outdated.join(', ')}`);
+    console.error('node scripts/vendor-shared-modules.js を実行してください');
+    process.exit(1);
+  }
+
+  console.log(checkOnly ? '共通モジュールのコピーは最新です' : '共通モジュールのコピー完了');
+}
+
+main();
@@ -0,0 +1,466 @@
+/**
+ * Shopify 商品カタログ同期 Cloud Function
+ *
+ * 機能:
+ * - 商品・バリアント（SKU, バーコード/JAN, 商品名, 価格）をGraphQL Admin APIで取得
+ * - BigQueryのchannel_catalogに保存（MERGE方式、channel: 'Shopify-{account}'）
+ * - 同期したストアでShopifyから削除されたバリアントはchannel_catalogから削除
+ * - GraphQLのレート制限（THROTTLED）は共通クライアント（lib/shopify-client）で待機・再試行
+ * - channel_settings未登録のSKUをproduct_masterとJAN → SKUの順で照合し、channel_settings_proposalsに紐付けを提案
+ * - 一致しない（または複数に一致する）SKUは needs_review としてレビュー待ちに残す
+ * - approved にした提案はchannel_settingsに登録（applied）
+ *
+ * 環境変数:
+ * - SHOPIFY_STORE_{n}, SHOPIFY_ACCESS_TOKEN_{n}（read_products スコープ）
+ * - ACCOUNT_NAME_{n}（channel_settingsのaccount_name、注文同期と同じ値）
+ *
+ * パラメータ:
+ * - account: アカウント番号（未指定時は設定済みの全ストア）
+ */
+
+const { BigQuery } = require('@google-cloud/bigquery');
+const { listConfiguredAccounts, fetchAllNodes } = require('./lib/shopify-client');
+
+const bigquery = new BigQuery();
+const datasetId = 'andcore_main';
+
+const VARIANTS_PAGE_SIZE = 250;
+
+const CATALOG_TABLE = 'channel_catalog';
+const PROPOSALS_TABLE = 'channel_settings_proposals';
+
+const CATALOG_SCHEMA = [
+  { name: 'channel', type: 'STRING', mode: 'REQUIRED' },      // 'Shopify-{account}'
+  { name: 'variant_id', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'account_name', type: 'STRING' },
+  { name: 'product_id', type: 'STRING' },
+  { name: 'channel_sku', type: 'STRING' },                    // SKU未設定の場合は 'SHOPIFY-{product_id}-{variant_id}'
+  { name: 'sku', type: 'STRING' },
+  { name: 'barcode', type: 'STRING' },
+  { name: 'product_title', type: 'STRING' },
+  { name: 'variant_title', type: 'STRING' },
+  { name: 'price', type: 'FLOAT' },
+  { name: 'product_status', type: 'STRING' },                 // 'ACTIVE', 'DRAFT', 'ARCHIVED'
+  { name: 'updated_at', type: 'TIMESTAMP' },
+  { name: 'synced_at', type: 'TIMESTAMP' }
+];
+
+const PROPOSALS_SCHEMA = [
+  { name: 'account_name', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'channel_sku', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'variant_id', type: 'STRING' },
+  { name: 'barcode', type: 'STRING' },
+  { name: 'product_title', type: 'STRING' },
+  { name: 'proposed_master_sku', type: 'STRING' },
+  { name: 'match_type', type: 'STRING' },                     // 'barcode', 'sku'（一致なしはNULL）
+  { name: 'status', type: 'STRING' },                         // 'proposed', 'needs_review', 'approved', 'rejected', 'applied'
+  { name: 'note', type: 'STRING' },
+  { name: 'created_at', type: 'TIMESTAMP' },
+  { name: 'updated_at', type: 'TIMESTAMP' }
+];
+
+/**
+ * 全バリアント取得（商品情報含む）
+ */
+async function fetchVariants(store, accessToken) {
+  return fetchAllNodes(store, accessToken, `
+    query ($after: String) {
+      productVariants(first: ${VARIANTS_PAGE_SIZE}, after: $after) {
+        edges {
+          node {
+            legacyResourceId
+            sku
+            barcode
+            title
+            price
+            updatedAt
+            product { legacyResourceId title status }
+          }
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `, {}, data => data.productVariants);
+}
+
+/**
+ * バリアントをchannel_catalogテーブルの行に変換
+ */
+function convertVariants(variants, channel, accountName) {
+  const now = new Date().toISOString();
+
+  return variants.map(variant => {
+    const productId = variant.product.legacyResourceId;
+    const sku = (variant.sku || '').trim() || null;
+
+    return {
+      channel: channel,
+      variant_id: String(variant.legacyResourceId),
+      account_name: accountName,
+      product_id: String(productId),
+      // SKU未設定の場合はorder_itemsと同じ形式
+      channel_sku: sku || `SHOPIFY-${productId}-${variant.legacyResourceId}`,
+      sku: sku,
+      barcode: (variant.barcode || '').trim() || null,
+      product_title: variant.product.title,
+      variant_title: variant.title,
+      price: variant.price != null ? parseFloat(variant.price) : null,
+      product_status: variant.product.status,
+      updated_at: variant.updatedAt,
+      synced_at: now
+    };
+  });
+}
+
+/**
+ * approved の提案をchannel_settingsに登録し、applied にする
+ */
+async function applyApprovedProposals(accountNames) {
+  await ensureTable(PROPOSALS_TABLE, PROPOSALS_SCHEMA);
+
+  await bigquery.query({
+    query: `
+      BEGIN TRANSACTION;
+
+      INSERT INTO \`${datasetId}.channel_settings\` (channel_sku, master_sku, account_name, is_enabled)
+      SELECT p.channel_sku, p.proposed_master_sku, p.account_name, TRUE
+      FROM \`${datasetId}.${PROPOSALS_TABLE}\` p
+      WHERE p.status = 'approved'
+        AND p.proposed_master_sku IS NOT NULL
+        AND p.account_name IN UNNEST(@accountNames)
+        AND NOT EXISTS (
+          SELECT 1 FROM \`${datasetId}.channel_settings\` cs
+          WHERE cs.channel_sku = p.channel_sku AND cs.account_name = p.account_name
+        );
+
+      UPDATE \`${datasetId}.${PROPOSALS_TABLE}\`
+      SET status = 'applied', updated_at = CURRENT_TIMESTAMP()
+      WHERE status = 'approved'
+        AND proposed_master_sku IS NOT NULL
+        AND account_name IN UNNEST(@accountNames);
+
+      COMMIT TRANSACTION;
+    `,
+    params: { accountNames }
+  });
+  console.log('✅ 承認済みの提案をchannel_settingsに登録しました');
+}
+
+/**
+ * 商品マスタ取得（照合用: master_sku → 存在、JAN → master_sku一覧）
+ *
+ * product_masterにjan_code列が無い場合はSKUのみで照合
+ */
+async function fetchProductMaster() {
+  const [metadata] = await bigquery.dataset(datasetId).table('product_master').getMetadata();
+  const hasJanCode = metadata.schema.fields.some(field => field.name === 'jan_code');
+
+  if (!hasJanCode) {
+    console.warn('⚠️ product_masterにjan_code列がありません。SKUのみで照合します');
+  }
+
+  const [rows] = await bigquery.query(`
+    SELECT master_sku, ${hasJanCode ? 'jan_code' : 'CAST(NULL AS STRING) as jan_code'}
+    FROM \`${datasetId}.product_master\`
+    WHERE master_sku IS NOT NULL
+  `);
+
+  const skus = new Set();
+  const skusByJanCode = new Map();
+
+  for (const row of rows) {
+    skus.add(row.master_sku);
+
+    const janCode = (row.jan_code || '').trim();
+    if (!janCode) continue;
+
+    if (!skusByJanCode.has(janCode)) {
+      skusByJanCode.set(janCode, []);
+    }
+    skusByJanCode.get(janCode).push(row.master_sku);
+  }
+
+  console.log(`✅ 商品マスタ: ${skus.size}件（JAN登録 ${skusByJanCode.size}件）`);
+  return { skus, skusByJanCode };
+}
+
+/**
+ * channel_settingsに登録済みのSKU（無効化されたものを含む）
+ */
+async function fetchMappedSkus(accountNames) {
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT DISTINCT account_name, channel_sku
+      FROM \`${datasetId}.channel_settings\`
+      WHERE account_name IN UNNEST(@accountNames)
+    `,
+    params: { accountNames }
+  });
+
+  return new Set(rows.map(row => `${row.account_name}\t${row.channel_sku}`));
+}
+
+/**
+ * channel_settings未登録のSKUの紐付け提案を作成
+ *
+ * - JANが1件に一致: proposed（barcode）
+ * - JANが複数に一致: needs_review
+ * - SKUがmaster_skuに一致: proposed（sku）
+ * - どちらも一致しない: needs_review
+ */
+function buildProposals(catalogRows, productMaster, mappedSkus) {
+  const now = new Date().toISOString();
+  const proposalsByKey = new Map();
+
+  for (const row of catalogRows) {
+    const key = `${row.account_name}\t${row.channel_sku}`;
+    // 登録済み、または同じSKUのバリアントで提案済み
+    if (mappedSkus.has(key) || proposalsByKey.has(key)) continue;
+
+    const janMatches = row.barcode ? (productMaster.skusByJanCode.get(row.barcode) || []) : [];
+    const proposal = {
+      account_name: row.account_name,
+      channel_sku: row.channel_sku,
+      channel: row.channel,
+      variant_id: row.variant_id,
+      barcode: row.barcode,
+      product_title: row.variant_title && row.variant_title !== 'Default Title'
+        ? `${row.product_title} - ${row.variant_title}`
+        : row.product_title,
+      proposed_master_sku: null,
+      match_type: null,
+      status: 'needs_review',
+      note: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    if (janMatches.length === 1) {
+      proposal.proposed_master_sku = janMatches[0];
+      proposal.match_type = 'barcode';
+      proposal.status = 'proposed';
+    } else if (janMatches.length > 1) {
+      proposal.note = `JANが複数の商品に一致: ${janMatches.join(', ')}`;
+    } else if (row.sku && productMaster.skus.has(row.sku)) {
+      proposal.proposed_master_sku = row.sku;
+      proposal.match_type = 'sku';
+      proposal.status = 'proposed';
+    } else {
+      proposal.note = 'JAN・SKUが商品マスタに一致しません';
+    }
+
+    proposalsByKey.set(key, proposal);
+  }
+
+  return [...proposalsByKey.values()];
+}
+
+/**
+ * BigQueryにカタログと提案を保存（MERGE方式）
+ *
+ * カタログは同期したチャネルの今回取得できなかったバリアント（Shopifyで削除済み）を削除。
+ * 提案は proposed / needs_review のもののみ更新し、承認・却下済みは変更しない。
+ * 今回未登録として出てこなかった proposed / needs_review（登録済み・削除済み）は削除
+ */
+async function saveCatalogToBigQuery(catalogRows, proposalRows, channels) {
+  const timestamp = Date.now();
+  const tempCatalogTable = `channel_catalog_temp_shopify_${timestamp}`;
+  const tempProposalsTable = `channel_settings_proposals_temp_${timestamp}`;
+
+  try {
+    // 1. 一時テーブル作成 + バッチinsert（500件ずつ）
+    console.log('📝 一時テーブル作成中...');
+    await createTempTable(tempCatalogTable, CATALOG_SCHEMA, catalogRows);
+    await createTempTable(tempProposalsTable, PROPOSALS_SCHEMA, proposalRows);
+
+    // 2. 90秒待機（ストリーミングバッファ対策）
+    console.log('⏳ 90秒待機中（ストリーミングバッファ対策）...');
+    await new Promise(resolve => setTimeout(resolve, 90000));
+
+    // 3. MERGE実行
+    await ensureTable(CATALOG_TABLE, CATALOG_SCHEMA);
+
+    console.log(`🔄 MERGE実行中: ${CATALOG_TABLE}...`);
+    const catalogColumns = CATALOG_SCHEMA.map(field => field.name);
+    await bigquery.query({
+      query: `
+        MERGE \`${datasetId}.${CATALOG_TABLE}\` T
+        USING \`${datasetId}.${tempCatalogTable}\` S
+        ON T.channel = S.channel AND T.variant_id = S.variant_id
+        WHEN MATCHED THEN
+          UPDATE SET ${catalogColumns.filter(column => !['channel', 'variant_id'].includes(column)).map(column => `${column} = S.${column}`).join(', ')}
+        WHEN NOT MATCHED THEN
+          INSERT (${catalogColumns.join(', ')})
+          VALUES (${catalogColumns.map(column => `S.${column}`).join(', ')})
+        WHEN NOT MATCHED BY SOURCE AND T.channel IN UNNEST(@channels) THEN
+          DELETE
+      `,
+      params: { channels }
+    });
+    console.log(`✅ MERGE完了: ${CATALOG_TABLE}`);
+
+    console.log(`🔄 MERGE実行中: ${PROPOSALS_TABLE}...`);
+    await bigquery.query({
+      query: `
+        MERGE \`${datasetId}.${PROPOSALS_TABLE}\` T
+        USING \`${datasetId}.${tempProposalsTable}\` S
+        ON T.account_name = S.account_name AND T.channel_sku = S.channel_sku
+        WHEN MATCHED AND T.status IN ('proposed', 'needs_review') THEN
+          UPDATE SET
+            channel = S.channel,
+            variant_id = S.variant_id,
+            barcode = S.barcode,
+            product_title = S.product_title,
+            proposed_master_sku = S.proposed_master_sku,
+            match_type = S.match_type,
+            status = S.status,
+            note = S.note,
+            updated_at = S.updated_at
+        WHEN NOT MATCHED THEN
+          INSERT (account_name, channel_sku, channel, variant_id, barcode, product_title,
+                  proposed_master_sku, match_type, status, note, created_at, updated_at)
+          VALUES (S.account_name, S.channel_sku, S.channel, S.variant_id, S.barcode, S.product_title,
+                  S.proposed_master_sku, S.match_type, S.status, S.note, S.created_at, S.updated_at)
+        WHEN NOT MATCHED BY SOURCE
+          AND T.status IN ('proposed', 'needs_review')
+          AND T.channel IN UNNEST(@channels) THEN
+          DELETE
+      `,
+      params: { channels }
+    });
+    console.log(`✅ MERGE完了: ${PROPOSALS_TABLE}`);
+
+    // 4. 一時テーブル削除
+    await bigquery.dataset(datasetId).table(tempCatalogTable).delete();
+    await bigquery.dataset(datasetId).table(tempProposalsTable).delete();
+    console.log('🗑️ 一時テーブル削除完了');
+
+  } catch (error) {
+    console.error('❌ BigQuery保存エラー:', error);
+    // エラー時も一時テーブルを削除
+    for (const tableId of [tempCatalogTable, tempProposalsTable]) {
+      try {
+        await bigquery.dataset(datasetId).table(tableId).delete();
+      } catch (e) {}
+    }
+    throw error;
+  }
+}
+
+/**
+ * 一時テーブルを作成して行を投入（500件ずつ）
+ */
+async function createTempTable(tableId, schema, rows) {
+  const [table] = await bigquery.dataset(datasetId).createTable(tableId, { schema });
+  console.log(`✅ 一時テーブル作成完了: ${tableId}`);
+
+  const batchSize = 500;
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    await table.insert(batch);
+    console.log(`   ${i + batch.length}/${rows.length} 件投入完了`);
+  }
+}
+
+/**
+ * テーブル作成（存在しない場合のみ）
+ */
+async function ensureTable(tableId, schema) {
+  const [exists] = await bigquery.dataset(datasetId).table(tableId).exists();
+  if (exists) return;
+
+  await bigquery.dataset(datasetId).createTable(tableId, { schema });
+  console.log(`🧱 テーブル作成: ${tableId}`);
+}
+
+/**
+ * メイン処理
+ */
+exports.syncShopifyCatalog = async (req, res) => {
+  console.log('🚀 Shopify商品カタログ同期開始');
+  console.log('📅 実行日時:', new Date().toISOString());
+
+  try {
+    const accountNums = req.query.account ? [req.query.account] : listConfiguredAccounts();
+
+    if (accountNums.length === 0) {
+      throw new Error('環境変数が設定されていません (SHOPIFY_STORE_{n})');
+    }
+
+    // 1. ストアごとにバリアント取得
+    const catalogRows = [];
+    const accountStats = [];
+
+    for (const accountNum of accountNums) {
+      const store = process.env[`SHOPIFY_STORE_${accountNum}`] || process.env.SHOPIFY_STORE;
+      const accessToken = process.env[`SHOPIFY_ACCESS_TOKEN_${accountNum}`] || process.env.SHOPIFY_ACCESS_TOKEN;
+      const accountName = process.env[`ACCOUNT_NAME_${accountNum}`] || process.env.ACCOUNT_NAME || 'Shopify-1';
+
+      if (!store || !accessToken) {
+        throw new Error(`環境変数が設定されていません (アカウント${accountNum})`);
+      }
+
+      console.log(`📦 アカウント${accountNum} (${store}, ${accountName})`);
+      const variants = await fetchVariants(store, accessToken);
+      const rows = convertVariants(variants, `Shopify-${accountNum}`, accountName);
+      console.log(`✅ バリアント: ${rows.length}件`);
+
+      catalogRows.push(...rows);
+      accountStats.push({ account: accountNum, account_name: accountName, variants: rows.length });
+    }
+
+    const accountNames = [...new Set(accountStats.map(stat => stat.account_name))];
+    const channels = accountNums.map(accountNum => `Shopify-${accountNum}`);
+
+    // 2. 承認済みの提案を登録（登録後のchannel_settingsで未登録SKUを判定する）
+    await applyApprovedProposals(accountNames);
+
+    // 3. 未登録SKUの紐付け提案
+    const productMaster = await fetchProductMaster();
+    const mappedSkus = await fetchMappedSkus(accountNames);
+    const proposalRows = buildProposals(catalogRows, productMaster, mappedSkus);
+
+    const proposedCount = proposalRows.filter(row => row.status === 'proposed').length;
+    const needsReviewCount = proposalRows.length - proposedCount;
+    console.log(`✅ 紐付け提案: ${proposedCount}件、レビュー待ち: ${needsReviewCount}件`);
+
+    if (catalogRows.length === 0) {
+      console.log('⚠️ バリアントが0件でした');
+      res.status(200).json({
+        success: true,
+        message: 'バリアントが0件でした',
+        accounts: accountNums,
+        count: 0
+      });
+      return;
+    }
+
+    // 4. BigQueryに保存
+    console.log('💾 BigQueryに保存中...');
+    await saveCatalogToBigQuery(catalogRows, proposalRows, channels);
+    console.log('✅ BigQuery保存完了');
+
+    // 5. 完了レスポンス
+    const response = {
+      success: true,
+      message: 'Shopify商品カタログ同期完了',
+      accounts: accountStats,
+      variantCount: catalogRows.length,
+      proposedCount,
+      needsReviewCount,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log('🎉 同期完了:', response);
+    res.status(200).json(response);
+
+  } catch (error) {
+    console.error('❌ エラー発生:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+};
@@ -0,0 +1,297 @@
+/**
+ * Shopify 在庫同期 Cloud Function
+ *
+ * 機能:
+ * - ロケーションごとの在庫数（inventoryLevels）をGraphQL Admin APIで取得
+ * - 在庫管理対象（tracked）の商品のみ
+ * - BigQueryのinventoryに保存（MERGE方式、location: 'Shopify-{account}-{ロケーション名}'）
+ * - 在庫数が変わった行は stock_movement_log に記録
+ * - 同期したストアの保存済み行（無効化・名前変更されたロケーションを含む）のうち、今回の在庫数に無いものは在庫0に更新
+ * - GraphQLのレート制限（THROTTLED）は共通クライアント（lib/shopify-client）で待機・再試行
+ *
+ * 環境変数:
+ * - SHOPIFY_STORE_{n}, SHOPIFY_ACCESS_TOKEN_{n}（read_inventory, read_locations スコープ）
+ *
+ * パラメータ:
+ * - account: アカウント番号（未指定時は設定済みの全ストア）
+ */
+
+const { BigQuery } = require('@google-cloud/bigquery');
+const { listConfiguredAccounts, fetchAllNodes } = require('./lib/shopify-client');
+const { createRunId, mergeWithMovementLog } = require('./lib/stock-movement-log');
+
+const bigquery = new BigQuery();
+const datasetId = 'andcore_main';
+
+const LEVELS_PAGE_SIZE = 100;
+
+// 在庫移動ログ（stock_movement_log）に記録する実行元の関数名
+const SOURCE_FUNCTION = 'syncShopifyInventory';
+
+/**
+ * 有効なロケーション一覧取得
+ */
+async function fetchLocations(store, accessToken) {
+  const locations = await fetchAllNodes(store, accessToken, `
+    query ($after: String) {
+      locations(first: 50, after: $after) {
+        edges { node { id legacyResourceId name isActive } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `, {}, data => data.locations);
+
+  return locations.filter(location => location.isActive);
+}
+
+/**
+ * ロケーションの在庫数取得（在庫アイテム + 数量）
+ */
+async function fetchInventoryLevels(store, accessToken, locationId) {
+  return fetchAllNodes(store, accessToken, `
+    query ($locationId: ID!, $after: String) {
+      location(id: $locationId) {
+        inventoryLevels(first: ${LEVELS_PAGE_SIZE}, after: $after) {
+          edges {
+            node {
+              quantities(names: ["available", "committed", "incoming", "on_hand"]) { name quantity }
+              item {
+                sku
+                tracked
+                variant { legacyResourceId product { legacyResourceId } }
+              }
+            }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    }
+  `, { locationId }, data => data.location.inventoryLevels);
+}
+
+/**
+ * 在庫数をinventoryテーブルの行に変換
+ */
+function convertInventoryLevels(levels, location) {
+  const now = new Date().toISOString();
+
+  return levels
+    .filter(level => level.item && level.item.tracked)
+    .map(level => {
+      const quantities = Object.fromEntries(level.quantities.map(quantity => [quantity.name, quantity.quantity]));
+      const variant = level.item.variant || {};
+
+      return {
+        // SKU未設定の場合はorder_itemsと同じ形式
+        sku: level.item.sku || `SHOPIFY-${variant.product?.legacyResourceId}-${variant.legacyResourceId}`,
+        location: location,
+        location_type: 'Shopify',
+        available_quantity: quantities.available || 0,
+        reserved_quantity: quantities.committed || 0,
+        inbound_quantity: quantities.incoming || 0,
+        total_quantity: (quantities.on_hand || 0) + (quantities.incoming || 0),
+        last_updated: now,
+        sync_status: 'success'
+      };
+    });
+}
+
+/**
+ * 同じSKUが複数のバリアントに設定されている場合は合算（MERGEのキーを一意にする）
+ */
+function sumBySkuAndLocation(inventoryData) {
+  const rowsByKey = new Map();
+
+  for (const row of inventoryData) {
+    const key = `${row.sku}\t${row.location}`;
+    const existing = rowsByKey.get(key);
+
+    if (!existing) {
+      rowsByKey.set(key, { ...row });
+      continue;
+    }
+
+    existing.available_quantity += row.available_quantity;
+    existing.reserved_quantity += row.reserved_quantity;
+    existing.inbound_quantity += row.inbound_quantity;
+    existing.total_quantity += row.total_quantity;
+  }
+
+  return [...rowsByKey.values()];
+}
+
+/**
+ * BigQueryに在庫データを保存（MERGE方式、変化した在庫は stock_movement_log に記録）
+ * locationPrefixes（'Shopify-{account}-'）の保存済み行のうち今回取得できなかったSKUは在庫0に更新
+ * 戻り値: 記録した在庫移動の件数
+ */
+async function saveInventoryToBigQuery(inventoryData, locationPrefixes, runId) {
+  const tempTableId = 'inventory_temp_shopify_' + Date.now();
+
+  try {
+    // 1. 一時テーブル作成
+    console.log('📝 一時テーブル作成中...');
+    await bigquery.dataset(datasetId).createTable(tempTableId, {
+      schema: [
+        { name: 'sku', type: 'STRING', mode: 'REQUIRED' },
+        { name: 'location', type: 'STRING', mode: 'REQUIRED' },
+        { name: 'location_type', type: 'STRING' },
+        { name: 'available_quantity', type: 'INTEGER' },
+        { name: 'reserved_quantity', type: 'INTEGER' },
+        { name: 'inbound_quantity', type: 'INTEGER' },
+        { name: 'total_quantity', type: 'INTEGER' },
+        { name: 'last_updated', type: 'TIMESTAMP' },
+        { name: 'sync_status', type: 'STRING' }
+      ]
+    });
+
+    console.log(`✅ 一時テーブル作成完了: ${tempTableId}`);
+
+    // 2. バッチinsert（500件ずつ）
+    console.log('📥 データ投入中...');
+    const batchSize = 500;
+    for (let i = 0; i < inventoryData.length; i += batchSize) {
+      const batch = inventoryData.slice(i, i + batchSize);
+      await bigquery.dataset(datasetId).table(tempTableId).insert(batch);
+      console.log(`   ${i + batch.length}/${inventoryData.length} 件投入完了`);
+    }
+
+    // 3. 90秒待機（ストリーミングバッファ対策。0件の場合は空の一時テーブルのまま保存済み行の0更新だけ行う）
+    if (inventoryData.length > 0) {
+      console.log('⏳ 90秒待機中（ストリーミングバッファ対策）...');
+      await new Promise(resolve => setTimeout(resolve, 90000));
+    } else {
+      console.log('⚠️ 在庫データが0件のため、保存済みの行を在庫0に更新します');
+    }
+
+    // 4. 在庫移動ログ記録 + MERGE実行（同じトランザクション）
+    console.log('🔄 在庫移動ログ記録・MERGE実行中...');
+    const mergeQuery = `
+      MERGE \`${datasetId}.inventory\` T
+      USING \`${datasetId}.${tempTableId}\` S
+      ON T.sku = S.sku AND T.location = S.location
+      WHEN MATCHED THEN
+        UPDATE SET
+          available_quantity = S.available_quantity,
+          reserved_quantity = S.reserved_quantity,
+          inbound_quantity = S.inbound_quantity,
+          total_quantity = S.total_quantity,
+          last_updated = S.last_updated,
+          sync_status = S.sync_status
+      WHEN NOT MATCHED THEN
+        INSERT (
+          sku, location, location_type,
+          available_quantity, reserved_quantity, inbound_quantity, total_quantity,
+          last_updated, sync_status
+        )
+        VALUES (
+          S.sku, S.location, S.location_type,
+          S.available_quantity, S.reserved_quantity, S.inbound_quantity, S.total_quantity,
+          S.last_updated, S.sync_status
+        )
+    `;
+
+    const movements = await mergeWithMovementLog(bigquery, {
+      datasetId,
+      tempTableId,
+      mergeQuery,
+      sourceFunction: SOURCE_FUNCTION,
+      runId,
+      syncedLocationPrefixes: locationPrefixes
+    });
+    console.log('✅ MERGE完了');
+
+    // 5. 一時テーブル削除
+    await bigquery.dataset(datasetId).table(tempTableId).delete();
+    console.log('🗑️ 一時テーブル削除完了');
+
+    return movements;
+
+  } catch (error) {
+    console.error('❌ BigQuery保存エラー:', error);
+    // エラー時も一時テーブルを削除
+    try {
+      await bigquery.dataset(datasetId).table(tempTableId).delete();
+    } catch (e) {}
+    throw error;
+  }
+}
+
+/**
+ * メイン処理
+ */
+exports.syncShopifyInventory = async (req, res) => {
+  console.log('🚀 Shopify在庫同期開始');
+  console.log('📅 実行日時:', new Date().toISOString());
+
+  const runId = createRunId(SOURCE_FUNCTION);
+  console.log('🆔 run_id:', runId);
+
+  try {
+    const accountNums = req.query.account ? [req.query.account] : listConfiguredAccounts();
+
+    if (accountNums.length === 0) {
+      throw new Error('環境変数が設定されていません (SHOPIFY_STORE_{n})');
+    }
+
+    // 1. ストア・ロケーションごとに在庫数取得
+    const inventoryData = [];
+    const locationStats = [];
+
+    for (const accountNum of accountNums) {
+      const store = process.env[`SHOPIFY_STORE_${accountNum}`] || process.env.SHOPIFY_STORE;
+      const accessToken = process.env[`SHOPIFY_ACCESS_TOKEN_${accountNum}`] || process.env.SHOPIFY_ACCESS_TOKEN;
+
+      if (!store || !accessToken) {
+        throw new Error(`環境変数が設定されていません (アカウント${accountNum})`);
+      }
+
+      console.log(`📦 アカウント${accountNum} (${store})`);
+      const locations = await fetchLocations(store, accessToken);
+      console.log(`📍 ロケーション: ${locations.map(location => location.name).join(', ')}`);
+
+      for (const location of locations) {
+        const levels = await fetchInventoryLevels(store, accessToken, location.id);
+        const rows = convertInventoryLevels(levels, `Shopify-${accountNum}-${location.name}`);
+        console.log(`✅ ${location.name}: ${rows.length}件（取得 ${levels.length}件）`);
+
+        inventoryData.push(...rows);
+        locationStats.push({ account: accountNum, location: location.name, count: rows.length });
+      }
+    }
+
+    // 2. データ整形
+    const mergedData = sumBySkuAndLocation(inventoryData);
+    console.log(`✅ データ整形完了: ${mergedData.length}件`);
+
+    // 3. BigQueryに保存（全ロケーションを取得できたストアは、無効化・名前変更されたロケーションの行も0に更新）
+    //    取得件数が0件でも、ストアの取得に成功していれば保存済みの行を0に更新するため保存処理を実行する
+    console.log('💾 BigQueryに保存中...');
+    const locationPrefixes = accountNums.map(accountNum => `Shopify-${accountNum}-`);
+    const stockMovements = await saveInventoryToBigQuery(mergedData, locationPrefixes, runId);
+    console.log('✅ BigQuery保存完了');
+
+    // 4. 完了レスポンス
+    const response = {
+      success: true,
+      message: 'Shopify在庫同期完了',
+      accounts: accountNums,
+      inventoryCount: mergedData.length,
+      locations: locationStats,
+      stockMovements: stockMovements,
+      runId: runId,
+      timestamp: new Date().toISOString()
+    };
+
+    console.log('🎉 同期完了:', response);
+    res.status(200).json(response);
+
+  } catch (error) {
+    console.error('❌ エラー発生:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+};
@@ -1,7 +1,268 @@
 const { BigQuery } = require('@google-cloud/bigquery');
 const fetch = require('node-fetch');
+const readline = require('readline');
+const crypto = require('crypto');
+const { SHOPIFY_API_VERSION, shopifyGraphql, shopifyFetch } = require('./lib/shopify-client');
 const bigquery = new BigQuery();
 
+// 差分同期設定（sync_stateに店舗ごとの updated_at の位置を記録）
+const SYNC_STATE_TABLE = 'sync_state';
+const SYNC_TYPE_ORDERS = 'orders_updated_at';
+const DEFAULT_DAYS_BACK = 30;       // sync_state未登録時の取得日数
+const DEFAULT_OVERLAP_HOURS = 1;    // 差分取得時に前回の位置から遡る時間
+
+// Bulk Operation設定（bulk=true）
+const BULK_POLL_INTERVAL_MS = 10000;
+const BULK_MAX_WAIT_MS = 360000;   // 残りは90秒待機とMERGE用
+const BULK_CHUNK_SIZE = 250;       // 結果のJSONLから一時テーブルへ投入する注文の件数
+// バルククエリで取得できない明細（リスト内のコネクション）があるため、REST APIで取り直す注文の項目
+const BULK_REST_DETAIL_FIELDS = ['refunds', 'fulfillments'];
+
+// 再開可能な全期間同期（full_sync=true、REST）
+const SYNC_RUNS_TABLE = 'shopify_sync_runs';
+const FULL_SYNC_TIME_BUDGET_MS = 300000;                 // 残りは90秒待機とMERGE用（タイムアウト540秒）
+const STAGING_EXPIRATION_MS = 7 * 24 * 60 * 60 * 1000;   // 再開されずに残った一時テーブルは自動削除
+const SYNC_RUNS_SCHEMA = [
+  { name: 'run_id', type: 'STRING' },            // 開始時刻（ミリ秒）、一時テーブル名に使用（差分同期のカーソルは '{channel}_incremental'）
+  { name: 'channel', type: 'STRING' },           // 'Shopify-{account}'
+  { name: 'status', type: 'STRING' },            // 'fetching', 'merging', 'completed', 'abandoned', 'paused'（差分同期のカーソル）
+  { name: 'updated_at_min', type: 'TIMESTAMP' },
+  { name: 'updated_at_max', type: 'TIMESTAMP' },
+  { name: 'page_info', type: 'STRING' },         // 次に取得するページ（NULL = 最初のページ）
+  { name: 'pages_fetched', type: 'INTEGER' },
+  { name: 'orders_staged', type: 'INTEGER' },
+  { name: 'started_at', type: 'TIMESTAMP' },
+  { name: 'updated_at', type: 'TIMESTAMP' }
+];
+
+// Webhook設定（receiveShopifyWebhook）
+const WEBHOOK_EVENTS_TABLE = 'shopify_webhook_events';
+const WEBHOOK_TOPICS = ['orders/create', 'orders/updated', 'orders/cancelled', 'refunds/create',
+  'fulfillments/create', 'fulfillments/update'];
+const WEBHOOK_EVENTS_SCHEMA = [
+  { name: 'webhook_id', type: 'STRING' },    // X-Shopify-Webhook-Id
+  { name: 'channel', type: 'STRING' },       // 'Shopify-{account}'
+  { name: 'topic', type: 'STRING' },
+  { name: 'resource_id', type: 'STRING' },   // 注文ID / 返金ID
+  { name: 'order_id', type: 'STRING' },      // 'SHOPIFY-{account}-{id}'
+  { name: 'received_at', type: 'TIMESTAMP' }
+];
+
+// BigQueryスキーマの型 → クエリパラメータの型
+const QUERY_PARAM_TYPES = {
+  FLOAT: 'FLOAT64',
+  INTEGER: 'INT64'
+};
+
+// orders / order_items / 明細テーブル共通: Shopifyの注文の updated_at
+// （Webhookの受信順が前後しても、新しい内容を古い内容で上書きしないための比較用）
+const SHOPIFY_UPDATED_AT_COLUMN = { name: 'shopify_updated_at', type: 'TIMESTAMP' };
+
+// ordersスキーマ（一時テーブル・Webhookの行パラメータ共通）
+const ORDERS_SCHEMA = [
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'account_name', type: 'STRING' },
+  { name: 'order_number', type: 'STRING' },
+  { name: 'order_date', type: 'TIMESTAMP' },
+  { name: 'fulfillment_date', type: 'TIMESTAMP' },
+  { name: 'customer_name', type: 'STRING' },
+  { name: 'ship_state', type: 'STRING' },        // ← 追加
+  { name: 'ship_city', type: 'STRING' },         // ← 追加
+  { name: 'ship_postal_code', type: 'STRING' },  // ← 追加
+  { name: 'subtotal_amount', type: 'FLOAT' },
+  { name: 'tax_amount', type: 'FLOAT' },
+  { name: 'shipping_amount', type: 'FLOAT' },
+  { name: 'discount_amount', type: 'FLOAT' },
+  { name: 'shipping_discount_amount', type: 'FLOAT' },
+  { name: 'gift_wrap_amount', type: 'FLOAT' },
+  { name: 'gift_wrap_tax_amount', type: 'FLOAT' },
+  { name: 'total_amount', type: 'FLOAT' },
+  { name: 'currency', type: 'STRING' },
+  { name: 'payment_status', type: 'STRING' },
+  { name: 'fulfillment_status', type: 'STRING' },
+  { name: 'is_cancelled', type: 'BOOL' },
+  { name: 'refunded_amount', type: 'FLOAT' },
+  { name: 'net_sales_amount', type: 'FLOAT' },
+  { name: 'taxes_included', type: 'BOOL' },      // 内税の場合 true
+  { name: 'tax_10_amount', type: 'FLOAT' },      // 標準税率（10%）の税額
+  { name: 'tax_8_amount', type: 'FLOAT' },       // 軽減税率（8%）の税額
+  { name: 'discount_codes', type: 'STRING' },    // 適用された割引（カンマ区切り）
+  { name: 'created_at', type: 'TIMESTAMP' },
+  { name: 'updated_at', type: 'TIMESTAMP' },     // 取り込み日時
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// order_itemsスキーマ
+const ORDER_ITEMS_SCHEMA = [
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'line_item_id', type: 'STRING' },
+  { name: 'sku', type: 'STRING' },
+  { name: 'product_name', type: 'STRING' },
+  { name: 'quantity', type: 'INTEGER' },
+  { name: 'unit_price', type: 'FLOAT' },
+  { name: 'line_total', type: 'FLOAT' },
+  { name: 'discount_amount', type: 'FLOAT' },
+  { name: 'gift_wrap_amount', type: 'FLOAT' },
+  { name: 'discounted_line_total', type: 'FLOAT' },  // line_total - discount_amount（taxes_included の注文は税込）
+  { name: 'tax_amount', type: 'FLOAT' },
+  { name: 'tax_rate', type: 'FLOAT' },               // 0.1 / 0.08（税明細が1件の場合のみ、複数・無しはNULL）
+  { name: 'discount_codes', type: 'STRING' },
+  { name: 'refunded_quantity', type: 'INTEGER' },
+  { name: 'refunded_amount', type: 'FLOAT' },
+  { name: 'net_sales_amount', type: 'FLOAT' },
+  { name: 'currency', type: 'STRING' },
+  { name: 'quantity_fulfilled', type: 'INTEGER' },
+  { name: 'quantity_unfulfilled', type: 'INTEGER' },
+  { name: 'created_at', type: 'TIMESTAMP' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// 後から追加した列（既存テーブルに無い場合は追加）
+const ORDERS_ADDED_COLUMNS = [
+  { name: 'discount_amount', type: 'FLOAT' },
+  { name: 'shipping_discount_amount', type: 'FLOAT' },
+  { name: 'gift_wrap_amount', type: 'FLOAT' },
+  { name: 'gift_wrap_tax_amount', type: 'FLOAT' },
+  { name: 'is_cancelled', type: 'BOOL' },
+  { name: 'refunded_amount', type: 'FLOAT' },
+  { name: 'net_sales_amount', type: 'FLOAT' },
+  { name: 'taxes_included', type: 'BOOL' },
+  { name: 'tax_10_amount', type: 'FLOAT' },
+  { name: 'tax_8_amount', type: 'FLOAT' },
+  { name: 'discount_codes', type: 'STRING' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+const ORDER_ITEMS_ADDED_COLUMNS = [
+  { name: 'discount_amount', type: 'FLOAT' },
+  { name: 'gift_wrap_amount', type: 'FLOAT' },
+  { name: 'discounted_line_total', type: 'FLOAT' },
+  { name: 'tax_amount', type: 'FLOAT' },
+  { name: 'tax_rate', type: 'FLOAT' },
+  { name: 'discount_codes', type: 'STRING' },
+  { name: 'refunded_quantity', type: 'INTEGER' },
+  { name: 'refunded_amount', type: 'FLOAT' },
+  { name: 'net_sales_amount', type: 'FLOAT' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// order_refundsスキーマ（返金明細・返金調整を1行ずつ）
+const REFUNDS_SCHEMA = [
+  { name: 'refund_line_id', type: 'STRING' },   // '{refund_id}-line-{id}' / '{refund_id}-adjustment-{id}'
+  { name: 'refund_id', type: 'STRING' },
+  { name: 'order_id', type: 'STRING' },         // 'SHOPIFY-{account}-{id}'
+  { name: 'channel', type: 'STRING' },
+  { name: 'line_type', type: 'STRING' },        // 'line_item', 'adjustment'
+  { name: 'line_item_id', type: 'STRING' },
+  { name: 'sku', type: 'STRING' },
+  { name: 'quantity', type: 'INTEGER' },
+  { name: 'amount', type: 'FLOAT' },            // 返金額（税抜、正の値）
+  { name: 'tax_amount', type: 'FLOAT' },
+  { name: 'restock', type: 'BOOL' },
+  { name: 'restock_type', type: 'STRING' },     // 'return', 'cancel', 'no_restock', 'legacy_restock'
+  { name: 'adjustment_kind', type: 'STRING' },  // 'shipping_refund', 'refund_discrepancy'
+  { name: 'reason', type: 'STRING' },
+  { name: 'refunded_at', type: 'TIMESTAMP' },
+  { name: 'created_at', type: 'TIMESTAMP' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// order_discountsスキーマ（割引の配分を明細・配送料ごとに1行ずつ）
+const DISCOUNTS_SCHEMA = [
+  { name: 'discount_line_id', type: 'STRING' },   // '{order_id}-{index}-line-{id}' / '{order_id}-{index}-shipping-{id}'
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'application_index', type: 'INTEGER' },
+  { name: 'discount_type', type: 'STRING' },      // 'discount_code', 'automatic', 'manual', 'script'
+  { name: 'discount_code', type: 'STRING' },
+  { name: 'title', type: 'STRING' },
+  { name: 'value', type: 'FLOAT' },
+  { name: 'value_type', type: 'STRING' },         // 'fixed_amount', 'percentage'
+  { name: 'allocation_method', type: 'STRING' },  // 'across', 'each', 'one'
+  { name: 'target_type', type: 'STRING' },        // 'line_item', 'shipping_line'
+  { name: 'line_item_id', type: 'STRING' },
+  { name: 'shipping_line_id', type: 'STRING' },
+  { name: 'sku', type: 'STRING' },
+  { name: 'amount', type: 'FLOAT' },              // 配分された割引額
+  { name: 'created_at', type: 'TIMESTAMP' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// order_shipping_linesスキーマ
+const SHIPPING_LINES_SCHEMA = [
+  { name: 'shipping_line_id', type: 'STRING' },
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'title', type: 'STRING' },
+  { name: 'code', type: 'STRING' },
+  { name: 'price', type: 'FLOAT' },
+  { name: 'discount_amount', type: 'FLOAT' },
+  { name: 'discounted_price', type: 'FLOAT' },
+  { name: 'tax_amount', type: 'FLOAT' },
+  { name: 'tax_rate', type: 'FLOAT' },               // 税明細が1件の場合のみ（複数・無しはNULL）
+  { name: 'created_at', type: 'TIMESTAMP' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// order_shipments（fulfillmentの明細単位、Amazonの出荷同期と共通のテーブル）
+const SHIPMENTS_SCHEMA = [
+  { name: 'shipment_line_id', type: 'STRING' },    // 'SHOPIFY-{fulfillment_id}-{line_item_id}'
+  { name: 'order_id', type: 'STRING' },
+  { name: 'channel', type: 'STRING' },
+  { name: 'line_item_id', type: 'STRING' },
+  { name: 'shipment_id', type: 'STRING' },         // fulfillment ID
+  { name: 'sku', type: 'STRING' },
+  { name: 'quantity', type: 'INTEGER' },
+  { name: 'shipment_date', type: 'TIMESTAMP' },    // fulfillmentの作成日時
+  { name: 'carrier', type: 'STRING' },             // tracking_company
+  { name: 'tracking_number', type: 'STRING' },     // 複数の場合はカンマ区切り
+  { name: 'fulfillment_type', type: 'STRING' },    // フルフィルメントサービス（'manual' など）
+  { name: 'tracking_url', type: 'STRING' },
+  { name: 'shipment_status', type: 'STRING' },     // 配送状況（'in_transit', 'delivered' など）
+  { name: 'fulfillment_status', type: 'STRING' },  // 'success', 'cancelled', 'error', 'failure'
+  { name: 'updated_at', type: 'TIMESTAMP' },
+  { name: 'created_at', type: 'TIMESTAMP' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// Amazonの出荷同期が作成したorder_shipmentsに無い列
+const SHIPMENTS_ADDED_COLUMNS = [
+  { name: 'tracking_url', type: 'STRING' },
+  { name: 'shipment_status', type: 'STRING' },
+  { name: 'fulfillment_status', type: 'STRING' },
+  { name: 'updated_at', type: 'TIMESTAMP' },
+  SHOPIFY_UPDATED_AT_COLUMN
+];
+
+// 注文ごとに複数行を持つテーブル（同期は一時テーブル経由、Webhookは行パラメータでMERGE）
+// addedColumns: 既存テーブルに無い場合に追加する列
+const ORDER_DETAIL_TABLES = [
+  { tableId: 'order_refunds', schema: REFUNDS_SCHEMA, keyColumns: ['refund_line_id', 'channel'], transform: transformRefunds,
+    addedColumns: [SHOPIFY_UPDATED_AT_COLUMN] },
+  { tableId: 'order_discounts', schema: DISCOUNTS_SCHEMA, keyColumns: ['discount_line_id', 'channel'], transform: transformDiscounts,
+    addedColumns: [SHOPIFY_UPDATED_AT_COLUMN] },
+  { tableId: 'order_shipping_lines', schema: SHIPPING_LINES_SCHEMA, keyColumns: ['shipping_line_id', 'channel'], transform: transformShippingLines,
+    addedColumns: [SHOPIFY_UPDATED_AT_COLUMN] },
+  { tableId: 'order_shipments', schema: SHIPMENTS_SCHEMA, keyColumns: ['shipment_line_id', 'channel'], transform: transformShipments,
+    addedColumns: SHIPMENTS_ADDED_COLUMNS }
+];
+
+// GraphQLのdisplayFulfillmentStatus → REST APIのfulfillment_status
+const BULK_FULFILLMENT_STATUS = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked'
+};
+
+// GraphQLの割引の種類 → REST APIのdiscount_applications.type
+const BULK_DISCOUNT_TYPES = {
+  DiscountCodeApplication: 'discount_code',
+  AutomaticDiscountApplication: 'automatic',
+  ManualDiscountApplication: 'manual',
+  ScriptDiscountApplication: 'script'
+};
+
 /**
  * Shopify注文データ同期（全期間対応 + ストリーミングバッファ回避 + 配送先情報）
  */
@@ -9,157 +270,106 @@ exports.syncShopifyOrders = async (req, res) => {
   try {
     const accountNum = req.query.account || '1';
     
-    const SHOPIFY_STORE = process.env[`SHOPIFY_STORE_${accountNum}`] || process.env.SHOPIFY_STORE;
-    const SHOPIFY_ACCESS_TOKEN = process.env[`SHOPIFY_ACCESS_TOKEN_${accountNum}`] || process.env.SHOPIFY_ACCESS_TOKEN;
-    const ACCOUNT_NAME = process.env[`ACCOUNT_NAME_${accountNum}`] || process.env.ACCOUNT_NAME || 'Shopify-1';
+    const {
+      store: SHOPIFY_STORE,
+      accessToken: SHOPIFY_ACCESS_TOKEN,
+      accountName: ACCOUNT_NAME
+    } = getStoreConfig(accountNum);
     
-    // リクエストパラメータ
-    const daysBack = parseInt(req.query.days_back) || 30;
+    // リクエストパラメータ（days_back指定時はバックフィル、未指定時はsync_stateから差分取得）
+    const daysBack = parseInt(req.query.days_back) || null;
+    const overlapHours = parseInt(req.query.overlap_hours) || DEFAULT_OVERLAP_HOURS;
     const isFullSync = req.query.full_sync === 'true';
+    const isBulk = req.query.bulk === 'true';
     
     if (!SHOPIFY_STORE || !SHOPIFY_ACCESS_TOKEN) {
       throw new Error('環境変数が設定されていません');
     }
     
     const projectId = await bigquery.getProjectId();
-    let allOrders = [];
-    let pageInfo = null;
-    let pageCount = 0;
-    const maxPages = isFullSync ? 200 : 20;
+    const syncChannel = `Shopify-${accountNum}`;
+    const { updatedAtMin, mode } = await resolveUpdatedAtMin(syncChannel, daysBack, overlapHours);
     
-    console.log(`📡 Starting sync: ${isFullSync ? 'FULL' : 'INCREMENTAL'} (${daysBack} days)`);
+    // 直近の更新はAPIに反映されていない場合があるため少し手前までとする
+    const updatedAtMax = new Date(Date.now() - 2 * 60 * 1000);
+    
+    // 全期間同期（REST）はページごとに一時テーブルへ投入し、時間内に終わらない場合は次回の呼び出しで再開
+    if (isFullSync && !isBulk) {
+      const result = await runResumableFullSync(projectId, syncChannel, ACCOUNT_NAME,
+        { store: SHOPIFY_STORE, accessToken: SHOPIFY_ACCESS_TOKEN, updatedAtMin, updatedAtMax });
+      return res.status(200).json(result);
+    }
+    
+    console.log(`📡 Starting sync: ${isFullSync ? 'FULL' : 'INCREMENTAL'} (${mode}, updated_at >= ${updatedAtMin.toISOString()})${isBulk ? ' [BULK]' : ''}`);
+    
+    // バルク（GraphQL）は結果を読みながら一定件数ごとに一時テーブルへ投入（全件をメモリに保持しない）
+    if (isBulk) {
+      const result = await runBulkSync(projectId, syncChannel, ACCOUNT_NAME,
+        { store: SHOPIFY_STORE, accessToken: SHOPIFY_ACCESS_TOKEN, updatedAtMin, updatedAtMax });
+      return res.status(200).json({
+        ...result,
+        sync_type: isFullSync ? 'FULL' : 'INCREMENTAL',
+        sync_mode: mode,
+        days_back: daysBack
+      });
+    }
     
     // =====================================
-    // Step 1: Shopify APIからデータ取得
+    // Step 1: Shopify APIからデータ取得（updated_at の昇順）
     // =====================================
-    while (pageCount < maxPages) {
-      pageCount++;
-      
-      const baseUrl = `https://${SHOPIFY_STORE}.myshopify.com/admin/api/2024-10/orders.json`;
-      const params = new URLSearchParams({
-        status: 'any',
-        limit: '250',
-        created_at_min: new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString()
-      });
-      
-      if (pageInfo) {
-        params.set('page_info', pageInfo);
-        params.delete('created_at_min');
-        params.delete('status');
-        params.delete('limit');
-      }
-      
-      const url = pageInfo ? 
-        `${baseUrl}?page_info=${pageInfo}&limit=250` : 
-        `${baseUrl}?${params}`;
-      
-      console.log(`📄 Fetching page ${pageCount}...`);
-      
-      const response = await fetch(url, {
-        headers: {
-          'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Shopify API Error: ${response.status} - ${errorText}`);
-      }
-      
-      const data = await response.json();
-      const orders = data.orders || [];
-      
-      console.log(`✅ Page ${pageCount}: ${orders.length} orders`);
-      allOrders = allOrders.concat(orders);
-      
-      // 次のページ確認
-      const linkHeader = response.headers.get('Link');
-      if (!linkHeader || !linkHeader.includes('rel="next"')) {
-        console.log('📋 No more pages. Finished fetching!');
-        break;
-      }
-      
-      const nextLinkMatch = linkHeader.match(/<[^>]*page_info=([^&>]+)[^>]*>;\s*rel="next"/);
-      if (nextLinkMatch) {
-        pageInfo = nextLinkMatch[1];
-      } else {
-        break;
-      }
-      
-      // レート制限対策
-      await new Promise(resolve => setTimeout(resolve, 500));
+    // 前回の差分同期がページ上限で打ち切られた場合は、保存したカーソルから続きを取得（days_back指定時は除く）
+    const pausedRun = daysBack ? null : await getPausedSyncRun(syncChannel);
+    const run = pausedRun || {
+      run_id: pausedRunId(syncChannel),
+      channel: syncChannel,
+      updated_at_min: updatedAtMin,
+      updated_at_max: updatedAtMax,
+      page_info: null,
+      pages_fetched: 0,
+      orders_staged: 0,
+      started_at: new Date()
+    };
+    if (pausedRun) {
+      console.log(`🔁 Resuming from page ${pausedRun.pages_fetched + 1} (updated_at ${pausedRun.updated_at_min.toISOString()} - ${pausedRun.updated_at_max.toISOString()})`);
     }
     
+    const { orders: fetchedOrders, pages: pageCount, nextPageInfo } =
+      await fetchOrdersRest(SHOPIFY_STORE, SHOPIFY_ACCESS_TOKEN, run.updated_at_min, run.updated_at_max, 20, run.page_info);
+    const progress = {
+      ...run,
+      page_info: nextPageInfo,
+      pages_fetched: run.pages_fetched + pageCount,
+      orders_staged: run.orders_staged + fetchedOrders.length
+    };
+    // ページ上限で打ち切った場合は sync_state を進めない（null）
+    const syncedUntil = nextPageInfo ? null : run.updated_at_max;
+    
+    // 取得中に更新された注文は複数ページに出るため、後に取得したものを採用
+    const allOrders = [...new Map(fetchedOrders.map(order => [String(order.id), order])).values()];
+    
     console.log(`🎉 Total orders retrieved: ${allOrders.length}`);
     
     if (allOrders.length === 0) {
+      await saveSyncProgress(progress, Boolean(pausedRun));
       return res.status(200).json({
         success: true,
         message: 'No orders found',
         count: 0,
-        pages: pageCount
+        pages: pageCount,
+        sync_mode: mode,
+        synced_until: syncedUntil && syncedUntil.toISOString()
       });
     }
     
     // =====================================
     // Step 2: データ変換（配送先情報追加）
     // =====================================
-    const ordersForBQ = allOrders.map(order => {
-      const fulfillmentDate = order.fulfillments && order.fulfillments.length > 0 
-        ? order.fulfillments[0].created_at 
-        : null;
-      
-      // 配送先情報の取得
-      const shippingAddress = order.shipping_address || {};
-      const shipState = shippingAddress.province || shippingAddress.province_code || '';
-      const shipCity = shippingAddress.city || '';
-      const shipPostalCode = shippingAddress.zip || '';
-
-      return {
-        order_id: `SHOPIFY-${ACCOUNT_NAME}-${order.id}`,
-        channel: 'Shopify',
-        account_name: ACCOUNT_NAME,
-        order_number: order.name || order.order_number?.toString() || order.id.toString(),
-        order_date: order.created_at,
-        fulfillment_date: fulfillmentDate,
-        customer_name: order.customer ? 
-          `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim() : 
-          'Guest',
-        ship_state: shipState,           // ← 追加
-        ship_city: shipCity,             // ← 追加
-        ship_postal_code: shipPostalCode, // ← 追加
-        subtotal_amount: parseFloat(order.subtotal_price || 0),
-        tax_amount: parseFloat(order.total_tax || 0),
-        shipping_amount: parseFloat(order.total_shipping_price_set?.shop_money?.amount || 0),
-        total_amount: parseFloat(order.total_price || 0),
-        currency: order.currency || 'JPY',
-        payment_status: order.financial_status || 'unknown',
-        fulfillment_status: order.fulfillment_status || 'unfulfilled',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-    });
-    
-    const orderItemsForBQ = [];
-    allOrders.forEach(order => {
-      (order.line_items || []).forEach(item => {
-        orderItemsForBQ.push({
-          order_id: `SHOPIFY-${ACCOUNT_NAME}-${order.id}`,
-          channel: 'Shopify',
-          line_item_id: item.id.toString(),
-          sku: item.sku || `SHOPIFY-${item.product_id}-${item.variant_id}`,
-          product_name: item.name || item.title,
-          quantity: item.quantity,
-          unit_price: parseFloat(item.price || 0),
-          line_total: parseFloat(item.price || 0) * item.quantity,
-          currency: order.currency || 'JPY',
-          quantity_fulfilled: item.fulfillment_status === 'fulfilled' ? item.quantity : 0,
-          quantity_unfulfilled: item.fulfillment_status === 'fulfilled' ? 0 : item.quantity,
-          created_at: new Date().toISOString()
-        });
-      });
-    });
+    const ordersForBQ = allOrders.map(order => transformOrder(order, ACCOUNT_NAME));
+    const orderItemsForBQ = allOrders.flatMap(order => transformOrderItems(order, ACCOUNT_NAME));
+    const detailsForBQ = ORDER_DETAIL_TABLES.map(detail => ({
+      ...detail,
+      rows: allOrders.flatMap(order => detail.transform(order, ACCOUNT_NAME))
+    }));
     
     // デバッグ: サンプル配送先データを表示
     if (ordersForBQ.length > 0) {
@@ -173,65 +383,14 @@ exports.syncShopifyOrders = async (req, res) => {
     const tempTableOrders = `orders_temp_${timestamp}`;
     const tempTableItems = `order_items_temp_${timestamp}`;
     
-    console.log(`💾 Creating temp table: ${tempTableOrders}...`);
-    
-    // 一時テーブル作成（orders）
-    const [ordersTable] = await bigquery.dataset('andcore_main').createTable(tempTableOrders, {
-      schema: [
-        { name: 'order_id', type: 'STRING' },
-        { name: 'channel', type: 'STRING' },
-        { name: 'account_name', type: 'STRING' },
-        { name: 'order_number', type: 'STRING' },
-        { name: 'order_date', type: 'TIMESTAMP' },
-        { name: 'fulfillment_date', type: 'TIMESTAMP' },
-        { name: 'customer_name', type: 'STRING' },
-        { name: 'ship_state', type: 'STRING' },        // ← 追加
-        { name: 'ship_city', type: 'STRING' },         // ← 追加
-        { name: 'ship_postal_code', type: 'STRING' },  // ← 追加
-        { name: 'subtotal_amount', type: 'FLOAT' },
-        { name: 'tax_amount', type: 'FLOAT' },
-        { name: 'shipping_amount', type: 'FLOAT' },
-        { name: 'total_amount', type: 'FLOAT' },
-        { name: 'currency', type: 'STRING' },
-        { name: 'payment_status', type: 'STRING' },
-        { name: 'fulfillment_status', type: 'STRING' },
-        { name: 'created_at', type: 'TIMESTAMP' },
-        { name: 'updated_at', type: 'TIMESTAMP' }
-      ]
-    });
+    await createStagingTable(tempTableOrders, ORDERS_SCHEMA, ordersForBQ);
+    await createStagingTable(tempTableItems, ORDER_ITEMS_SCHEMA, orderItemsForBQ);
     
-    console.log(`💾 Inserting ${ordersForBQ.length} orders to temp table...`);
-    const chunkSize = 500;
-    for (let i = 0; i < ordersForBQ.length; i += chunkSize) {
-      const chunk = ordersForBQ.slice(i, i + chunkSize);
-      await ordersTable.insert(chunk);
-      console.log(`   Inserted ${i + 1} - ${Math.min(i + chunkSize, ordersForBQ.length)} orders`);
-    }
-    
-    // 一時テーブル作成（order_items）
-    console.log(`💾 Creating temp table: ${tempTableItems}...`);
-    const [itemsTable] = await bigquery.dataset('andcore_main').createTable(tempTableItems, {
-      schema: [
-        { name: 'order_id', type: 'STRING' },
-        { name: 'channel', type: 'STRING' },
-        { name: 'line_item_id', type: 'STRING' },
-        { name: 'sku', type: 'STRING' },
-        { name: 'product_name', type: 'STRING' },
-        { name: 'quantity', type: 'INTEGER' },
-        { name: 'unit_price', type: 'FLOAT' },
-        { name: 'line_total', type: 'FLOAT' },
-        { name: 'currency', type: 'STRING' },
-        { name: 'quantity_fulfilled', type: 'INTEGER' },
-        { name: 'quantity_unfulfilled', type: 'INTEGER' },
-        { name: 'created_at', type: 'TIMESTAMP' }
-      ]
-    });
-    
-    console.log(`💾 Inserting ${orderItemsForBQ.length} order items to temp table...`);
-    for (let i = 0; i < orderItemsForBQ.length; i += chunkSize) {
-      const chunk = orderItemsForBQ.slice(i, i + chunkSize);
-      await itemsTable.insert(chunk);
-      console.log(`   Inserted ${i + 1} - ${Math.min(i + chunkSize, orderItemsForBQ.length)} items`);
+    // 一時テーブル作成（返金・割引・配送料、行がある場合のみ）
+    for (const detail of detailsForBQ) {
+      detail.tempTable = detail.rows.length > 0
+        ? await createStagingTable(`${detail.tableId}_temp_${timestamp}`, detail.schema, detail.rows)
+        : null;
     }
     
     // =====================================
@@ -243,85 +402,37 @@ exports.syncShopifyOrders = async (req, res) => {
     // =====================================
     // Step 5: MERGE実行（重複回避）
     // =====================================
-    console.log('💾 MERGE: orders...');
-    const mergeOrdersQuery = `
-      MERGE \`${projectId}.andcore_main.orders\` T
-      USING \`${projectId}.andcore_main.${tempTableOrders}\` S
-      ON T.order_id = S.order_id AND T.channel = S.channel
-      WHEN MATCHED THEN
-        UPDATE SET
-          order_number = S.order_number,
-          order_date = S.order_date,
-          fulfillment_date = S.fulfillment_date,
-          customer_name = S.customer_name,
-          ship_state = S.ship_state,
-          ship_city = S.ship_city,
-          ship_postal_code = S.ship_postal_code,
-          subtotal_amount = S.subtotal_amount,
-          tax_amount = S.tax_amount,
-          shipping_amount = S.shipping_amount,
-          total_amount = S.total_amount,
-          currency = S.currency,
-          payment_status = S.payment_status,
-          fulfillment_status = S.fulfillment_status,
-          updated_at = S.updated_at
-      WHEN NOT MATCHED THEN
-        INSERT (order_id, channel, account_name, order_number, order_date, 
-                fulfillment_date, customer_name, ship_state, ship_city, ship_postal_code,
-                subtotal_amount, tax_amount, shipping_amount, total_amount, currency,
-                payment_status, fulfillment_status, created_at, updated_at)
-        VALUES (S.order_id, S.channel, S.account_name, S.order_number, S.order_date,
-                S.fulfillment_date, S.customer_name, S.ship_state, S.ship_city, S.ship_postal_code,
-                S.subtotal_amount, S.tax_amount, S.shipping_amount,
-                S.total_amount, S.currency, S.payment_status, S.fulfillment_status,
-                S.created_at, S.updated_at)
-    `;
-    await bigquery.query(mergeOrdersQuery);
-    console.log('✅ Orders merged successfully!');
-    
-    console.log('💾 MERGE: order_items...');
-    const mergeItemsQuery = `
-      MERGE \`${projectId}.andcore_main.order_items\` T
-      USING \`${projectId}.andcore_main.${tempTableItems}\` S
-      ON T.order_id = S.order_id AND T.channel = S.channel AND T.line_item_id = S.line_item_id
-      WHEN MATCHED THEN
-        UPDATE SET
-          sku = S.sku,
-          product_name = S.product_name,
-          quantity = S.quantity,
-          unit_price = S.unit_price,
-          line_total = S.line_total,
-          currency = S.currency,
-          quantity_fulfilled = S.quantity_fulfilled,
-          quantity_unfulfilled = S.quantity_unfulfilled
-      WHEN NOT MATCHED THEN
-        INSERT (order_id, channel, line_item_id, sku, product_name, quantity,
-                unit_price, line_total, currency, quantity_fulfilled, quantity_unfulfilled, created_at)
-        VALUES (S.order_id, S.channel, S.line_item_id, S.sku, S.product_name, S.quantity,
-                S.unit_price, S.line_total, S.currency, S.quantity_fulfilled, 
-                S.quantity_unfulfilled, S.created_at)
-    `;
-    await bigquery.query(mergeItemsQuery);
-    console.log('✅ Order items merged successfully!');
+    const staging = { orders: tempTableOrders, items: tempTableItems, details: detailsForBQ };
+    await mergeStagedOrders(projectId, staging);
     
     // =====================================
     // Step 6: 一時テーブル削除
     // =====================================
-    console.log('🧹 Cleaning up temp tables...');
-    await bigquery.dataset('andcore_main').table(tempTableOrders).delete();
-    await bigquery.dataset('andcore_main').table(tempTableItems).delete();
-    console.log('✅ Cleanup complete!');
+    await dropStagingTables(staging);
+    
+    // MERGE成功後に同期位置を更新（ページ上限で打ち切った場合は次のページのカーソルを保存）
+    await saveSyncProgress(progress, Boolean(pausedRun));
     
     // =====================================
     // 完了レスポンス
     // =====================================
+    const detailCounts = Object.fromEntries(detailsForBQ.map(detail => [detail.tableId, detail.rows.length]));
     res.status(200).json({
       success: true,
       message: 'Shopify orders synced successfully (no duplicates, with shipping info)',
       sync_type: isFullSync ? 'FULL' : 'INCREMENTAL',
+      fetch_mode: 'REST',
+      sync_mode: mode,
       days_back: daysBack,
+      updated_at_min: run.updated_at_min.toISOString(),
+      synced_until: syncedUntil && syncedUntil.toISOString(),
+      has_more_pages: Boolean(nextPageInfo),
       orders_processed: ordersForBQ.length,
       items_processed: orderItemsForBQ.length,
+      refund_lines_processed: detailCounts.order_refunds,
+      discount_lines_processed: detailCounts.order_discounts,
+      shipping_lines_processed: detailCounts.order_shipping_lines,
+      shipment_lines_processed: detailCounts.order_shipments,
       pages_fetched: pageCount,
       note: 'Data merged with deduplication and shipping address'
     });
@@ -334,4 +445,1823 @@ exports.syncShopifyOrders = async (req, res) => {
       stack: error.stack
     });
   }
-};
\ No newline at end of file
+};
+
+
+/**
+ * Shopify Webhook受信（orders/create, orders/updated, orders/cancelled, refunds/create,
+ * fulfillments/create, fulfillments/update）
+ *
+ * X-Shopify-Hmac-Sha256 をストアのWebhookシークレットで検証し、Webhook IDで重複を除いて
+ * orders / order_items / 返金・割引・配送料・出荷テーブルにUPSERT（行の変換は syncShopifyOrders と共通）
+ */
+exports.receiveShopifyWebhook = async (req, res) => {
+  try {
+    const topic = req.get('X-Shopify-Topic');
+    const shopDomain = req.get('X-Shopify-Shop-Domain');
+    const webhookId = req.get('X-Shopify-Webhook-Id');
+    
+    // ストアの特定（?account= 未指定時はショップドメインから）
+    const accountNum = req.query.account || findAccountByShopDomain(shopDomain);
+    const config = accountNum ? getStoreConfig(accountNum) : null;
+    
+    if (!config || !config.webhookSecret) {
+      console.log(`⚠️ Unknown shop: ${shopDomain}`);
+      return res.status(401).json({ success: false, error: 'Unknown shop' });
+    }
+    
+    // ?account= のストアとショップドメインが一致しない場合は別のストアの行として保存しない
+    if (`${config.store}.myshopify.com` !== shopDomain) {
+      console.log(`⚠️ Shop domain mismatch: ${shopDomain} (account ${accountNum}: ${config.store}.myshopify.com)`);
+      return res.status(401).json({ success: false, error: 'Shop domain does not match account' });
+    }
+    
+    // 署名は受信した本文そのもので検証する
+    if (!req.rawBody || !verifyWebhookHmac(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), config.webhookSecret)) {
+      console.log(`⚠️ Invalid HMAC: ${shopDomain} ${topic}`);
+      return res.status(401).json({ success: false, error: 'Invalid HMAC signature' });
+    }
+    
+    if (!WEBHOOK_TOPICS.includes(topic)) {
+      return res.status(200).json({ success: true, message: `Ignored topic: ${topic}` });
+    }
+    
+    if (!webhookId) {
+      return res.status(400).json({ success: false, error: 'X-Shopify-Webhook-Id is missing' });
+    }
+    
+    const projectId = await bigquery.getProjectId();
+    const syncChannel = `Shopify-${accountNum}`;
+    
+    // Shopifyは同じWebhookを再送することがあるため処理済みは無視
+    if (await isWebhookProcessed(webhookId)) {
+      console.log(`⏭️ Duplicate webhook: ${webhookId} (${topic})`);
+      return res.status(200).json({ success: true, message: 'Duplicate webhook', webhook_id: webhookId });
+    }
+    
+    // refunds/* と fulfillments/* は返金・出荷のみのため、注文全体を取得して注文・明細も更新
+    const order = topic.startsWith('orders/')
+      ? req.body
+      : await fetchOrder(config.store, config.accessToken, req.body.order_id);
+    
+    console.log(`📨 Webhook ${topic}: order ${order.id} (${syncChannel})`);
+    
+    const result = await upsertWebhookOrder(projectId, order, config.accountName, {
+      webhookId,
+      channel: syncChannel,
+      topic,
+      resourceId: String(req.body.id)
+    });
+    
+    console.log(`✅ Webhook processed: ${result.items} items, ${result.order_refunds} refund lines, ${result.order_discounts} discount lines`);
+    
+    res.status(200).json({
+      success: true,
+      webhook_id: webhookId,
+      topic: topic,
+      order_id: String(order.id),
+      items_processed: result.items,
+      refund_lines_processed: result.order_refunds,
+      discount_lines_processed: result.order_discounts,
+      shipping_lines_processed: result.order_shipping_lines,
+      shipment_lines_processed: result.order_shipments
+    });
+    
+  } catch (error) {
+    // 500を返すとShopifyが再送する
+    console.error('❌ Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * アカウント番号からストア設定を取得
+ */
+function getStoreConfig(accountNum) {
+  return {
+    store: process.env[`SHOPIFY_STORE_${accountNum}`] || process.env.SHOPIFY_STORE,
+    accessToken: process.env[`SHOPIFY_ACCESS_TOKEN_${accountNum}`] || process.env.SHOPIFY_ACCESS_TOKEN,
+    accountName: process.env[`ACCOUNT_NAME_${accountNum}`] || process.env.ACCOUNT_NAME || 'Shopify-1',
+    webhookSecret: process.env[`SHOPIFY_WEBHOOK_SECRET_${accountNum}`] || process.env.SHOPIFY_WEBHOOK_SECRET
+  };
+}
+
+/**
+ * ショップドメイン（xxx.myshopify.com）からアカウント番号を取得
+ */
+function findAccountByShopDomain(shopDomain) {
+  if (!shopDomain) return null;
+  
+  for (const [key, store] of Object.entries(process.env)) {
+    const match = key.match(/^SHOPIFY_STORE_(\d+)$/);
+    if (match && `${store}.myshopify.com` === shopDomain) {
+      return match[1];
+    }
+  }
+  
+  return process.env.SHOPIFY_STORE && `${process.env.SHOPIFY_STORE}.myshopify.com` === shopDomain ? '1' : null;
+}
+
+/**
+ * Webhook署名検証（本文のHMAC-SHA256をBase64で比較）
+ */
+function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader) return false;
+  
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+  
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * 処理済みのWebhookか確認
+ */
+async function isWebhookProcessed(webhookId) {
+  await ensureTable(WEBHOOK_EVENTS_TABLE, WEBHOOK_EVENTS_SCHEMA);
+  
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT 1
+      FROM \`andcore_main.${WEBHOOK_EVENTS_TABLE}\`
+      WHERE webhook_id = @webhookId
+      LIMIT 1
+    `,
+    params: { webhookId }
+  });
+  
+  return rows.length > 0;
+}
+
+/**
+ * Webhookの注文を orders / order_items / 返金・割引・配送料テーブルにUPSERT
+ *
+ * 行はパラメータ（UNNEST）で渡し、処理済みWebhookの記録と同じトランザクションで実行
+ * （ストリーミングバッファを使わないため90秒待機は不要）
+ */
+async function upsertWebhookOrder(projectId, order, accountName, event) {
+  const orderRows = [transformOrder(order, accountName)];
+  const itemRows = transformOrderItems(order, accountName);
+  const details = ORDER_DETAIL_TABLES.map(detail => ({ ...detail, rows: detail.transform(order, accountName) }));
+  
+  await ensureOrderColumns();
+  for (const detail of details) {
+    await ensureTable(detail.tableId, detail.schema);
+  }
+  
+  // 明細テーブルの行は @{テーブル名} で渡す
+  const statements = [buildOrdersMergeQuery(projectId, '(SELECT * FROM UNNEST(@orders))')];
+  if (itemRows.length > 0) {
+    statements.push(buildOrderItemsMergeQuery(projectId, '(SELECT * FROM UNNEST(@items))'));
+  }
+  for (const detail of details.filter(detail => detail.rows.length > 0)) {
+    statements.push(buildMergeQuery(projectId, detail.tableId, `(SELECT * FROM UNNEST(@${detail.tableId}))`,
+      detail.schema, detail.keyColumns));
+  }
+  
+  await bigquery.query({
+    query: `
+      BEGIN TRANSACTION;
+      ${statements.join(';\n')};
+      INSERT INTO \`${projectId}.andcore_main.${WEBHOOK_EVENTS_TABLE}\`
+        (webhook_id, channel, topic, resource_id, order_id, received_at)
+      SELECT @webhookId, @channel, @topic, @resourceId, @orderId, CURRENT_TIMESTAMP()
+      FROM (SELECT 1)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM \`${projectId}.andcore_main.${WEBHOOK_EVENTS_TABLE}\` WHERE webhook_id = @webhookId
+      );
+      COMMIT TRANSACTION;
+    `,
+    params: {
+      orders: orderRows,
+      items: itemRows,
+      ...Object.fromEntries(details.map(detail => [detail.tableId, detail.rows])),
+      webhookId: event.webhookId,
+      channel: event.channel,
+      topic: event.topic,
+      resourceId: event.resourceId,
+      orderId: orderRows[0].order_id
+    },
+    types: {
+      orders: rowsParamType(ORDERS_SCHEMA),
+      items: rowsParamType(ORDER_ITEMS_SCHEMA),
+      ...Object.fromEntries(details.map(detail => [detail.tableId, rowsParamType(detail.schema)]))
+    }
+  });
+  
+  return {
+    items: itemRows.length,
+    ...Object.fromEntries(details.map(detail => [detail.tableId, detail.rows.length]))
+  };
+}
+
+/**
+ * 注文を1件取得（REST API）
+ */
+async function fetchOrder(store, accessToken, orderId) {
+  const response = await shopifyFetch(`https://${store}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/orders/${orderId}.json?status=any`, {
+    headers: {
+      'X-Shopify-Access-Token': accessToken,
+      'Content-Type': 'application/json'
+    }
+  });
+  
+  const data = await response.json();
+  return data.order;
+}
+
+
+/**
+ * 再開可能な全期間同期（REST）
+ *
+ * 1ページ取得するごとに一時テーブルへ投入し、次の page_info を shopify_sync_runs に保存する。
+ * 時間内に最後のページまで取得できない場合は in_progress を返し、次回の呼び出しで保存した位置から再開。
+ * 最後のページまで取得したら一度だけMERGEして sync_state を更新する。
+ */
+async function runResumableFullSync(projectId, channel, accountName, { store, accessToken, updatedAtMin, updatedAtMax }) {
+  const startedAt = Date.now();
+  let run = await getActiveSyncRun(channel);
+  
+  // 一時テーブルが期限切れで削除されている場合は最初からやり直す
+  if (run && !(await bigquery.dataset('andcore_main').table(runStagingTables(run.run_id).orders).exists())[0]) {
+    console.log(`⚠️ Staging tables of run ${run.run_id} not found. Starting a new run.`);
+    await saveSyncRun({ ...run, status: 'abandoned' });
+    run = null;
+  }
+  
+  if (run) {
+    console.log(`🔁 Resuming full sync ${run.run_id}: ${run.status}, ${run.pages_fetched} pages / ${run.orders_staged} orders staged`);
+    await ensureStagingColumns(runStagingTables(run.run_id));
+  } else {
+    run = {
+      run_id: `${channel.replace(/\W/g, '_')}_${startedAt}`,
+      channel,
+      status: 'fetching',
+      updated_at_min: updatedAtMin,
+      updated_at_max: updatedAtMax,
+      page_info: null,
+      pages_fetched: 0,
+      orders_staged: 0,
+      started_at: new Date(startedAt)
+    };
+    console.log(`📡 Starting full sync ${run.run_id} (updated_at ${updatedAtMin.toISOString()} - ${updatedAtMax.toISOString()})`);
+    await createRunStagingTables(runStagingTables(run.run_id));
+    await saveSyncRun(run);
+  }
+  
+  const staging = runStagingTables(run.run_id);
+  
+  // =====================================
+  // ページごとに取得 → 一時テーブルへ投入 → 次の位置を保存
+  // =====================================
+  while (run.status === 'fetching') {
+    if (Date.now() - startedAt > FULL_SYNC_TIME_BUDGET_MS) {
+      console.log(`⏸️ Time budget reached. Resume from page ${run.pages_fetched + 1} next run.`);
+      return {
+        success: true,
+        message: 'Full sync in progress. Call again to resume.',
+        status: 'in_progress',
+        run_id: run.run_id,
+        pages_fetched: run.pages_fetched,
+        orders_staged: run.orders_staged
+      };
+    }
+    
+    const pageNumber = run.pages_fetched + 1;
+    console.log(`📄 Fetching page ${pageNumber}...`);
+    const page = await fetchOrdersPage(store, accessToken, run.updated_at_min, run.updated_at_max, run.page_info);
+    await stageOrdersPage(staging, page.orders, accountName, pageNumber);
+    
+    run.page_info = page.nextPageInfo;
+    run.pages_fetched = pageNumber;
+    run.orders_staged += page.orders.length;
+    run.status = page.nextPageInfo ? 'fetching' : 'merging';
+    await saveSyncRun(run);
+    
+    console.log(`✅ Page ${pageNumber}: ${page.orders.length} orders (staged: ${run.orders_staged})`);
+  }
+  
+  // =====================================
+  // 全ページ取得済み: ストリーミングバッファ待機 → MERGE
+  // =====================================
+  if (run.orders_staged > 0) {
+    console.log('⏳ Waiting 90 seconds for streaming buffer to flush...');
+    await new Promise(resolve => setTimeout(resolve, 90000));
+  }
+  
+  await mergeStagedOrders(projectId, staging);
+  
+  // 全期間同期中に差分同期が先へ進めている場合は戻さない
+  const lastSyncedAt = await getSyncState(channel);
+  if (!lastSyncedAt || lastSyncedAt < run.updated_at_max) {
+    await updateSyncState(channel, run.updated_at_max);
+  }
+  
+  run.status = 'completed';
+  await saveSyncRun(run);
+  await dropStagingTables(staging);
+  
+  return {
+    success: true,
+    message: 'Shopify full sync completed',
+    status: 'completed',
+    run_id: run.run_id,
+    sync_type: 'FULL',
+    fetch_mode: 'REST',
+    updated_at_min: run.updated_at_min.toISOString(),
+    synced_until: run.updated_at_max.toISOString(),
+    pages_fetched: run.pages_fetched,
+    orders_staged: run.orders_staged
+  };
+}
+
+/**
+ * バルク（GraphQL Bulk Operation）での同期
+ *
+ * 結果のJSONLを1行ずつ読み込み、BULK_CHUNK_SIZE件ごとに一時テーブル（page_number列付き）へ投入する。
+ * バルククエリで取得できない明細（返金明細・フルフィルメントの明細）は、該当する注文のみREST APIで取得して投入前に反映。
+ * 投入済みの注文の明細・配送料が後の行に出た場合は、その注文をREST APIで取り直して最後に投入。
+ * 全件投入後に90秒待機してMERGEし、sync_state を更新する。
+ */
+async function runBulkSync(projectId, channel, accountName, { store, accessToken, updatedAtMin, updatedAtMax }) {
+  const { url, updatedAtMin: fetchedFrom, syncedUntil } = await fetchOrdersBulk(store, accessToken, updatedAtMin, updatedAtMax);
+  
+  const result = {
+    success: true,
+    fetch_mode: 'BULK',
+    updated_at_min: fetchedFrom.toISOString(),
+    synced_until: syncedUntil.toISOString()
+  };
+  
+  // 対象データが無い場合はurlがnull
+  if (!url) {
+    await updateSyncState(channel, syncedUntil);
+    return { ...result, message: 'No orders found', count: 0 };
+  }
+  
+  const staging = runStagingTables(`${channel.replace(/\W/g, '_')}_${Date.now()}`, 'bulk');
+  await createRunStagingTables(staging);
+  
+  const rowCounts = {};
+  let chunkNumber = 0;
+  const stageChunk = async (orders) => {
+    chunkNumber++;
+    const counts = await stageOrdersPage(staging, orders, accountName, chunkNumber);
+    for (const [tableId, count] of Object.entries(counts)) {
+      rowCounts[tableId] = (rowCounts[tableId] || 0) + count;
+    }
+    console.log(`✅ Chunk ${chunkNumber}: ${orders.length} orders staged`);
+  };
+  
+  const { orderCount, lateOrderIds } = await streamBulkOrders(url, BULK_CHUNK_SIZE, async (orders) => {
+    await attachRestDetails(store, accessToken, orders);
+    await stageChunk(orders);
+  });
+  console.log(`🎉 Total orders retrieved: ${orderCount}`);
+  
+  // 投入済みの注文の子の行が後から出た場合は、REST APIで注文ごと取り直す（後のchunkが採用される）
+  if (lateOrderIds.length > 0) {
+    console.log(`🔁 Re-fetching ${lateOrderIds.length} orders with late child rows via REST`);
+    await stageChunk(await fetchOrdersByIds(store, accessToken, lateOrderIds));
+  }
+  
+  console.log('⏳ Waiting 90 seconds for streaming buffer to flush...');
+  await new Promise(resolve => setTimeout(resolve, 90000));
+  
+  await mergeStagedOrders(projectId, staging);
+  await dropStagingTables(staging);
+  
+  // MERGE成功後に同期位置を更新
+  await updateSyncState(channel, syncedUntil);
+  
+  return {
+    ...result,
+    message: 'Shopify orders synced successfully (bulk, staged in chunks)',
+    orders_processed: orderCount,
+    items_processed: rowCounts.order_items,
+    refund_lines_processed: rowCounts.order_refunds,
+    discount_lines_processed: rowCounts.order_discounts,
+    shipping_lines_processed: rowCounts.order_shipping_lines,
+    shipment_lines_processed: rowCounts.order_shipments,
+    chunks_staged: chunkNumber
+  };
+}
+
+/**
+ * バルククエリで取得できない明細をREST APIで取得して注文に反映（BULK_REST_DETAIL_FIELDS）
+ *
+ * 対象の項目が空でない注文のみ取得し、その項目をREST APIの値で置き換える
+ * （取得できなかった注文はバルクの値のまま。返金は refund_line_items: null = 明細の返金は不明）
+ */
+async function attachRestDetails(store, accessToken, orders) {
+  const targets = orders.filter(order => BULK_REST_DETAIL_FIELDS.some(field => order[field].length > 0));
+  if (targets.length === 0) return;
+  
+  const restOrders = await fetchOrdersByIds(store, accessToken, targets.map(order => order.id), ['id', ...BULK_REST_DETAIL_FIELDS]);
+  const restOrdersById = new Map(restOrders.map(order => [String(order.id), order]));
+  
+  for (const order of targets) {
+    const restOrder = restOrdersById.get(String(order.id));
+    if (!restOrder) continue;
+    
+    for (const field of BULK_REST_DETAIL_FIELDS) {
+      order[field] = restOrder[field] || [];
+    }
+  }
+  console.log(`🔗 REST details attached: ${restOrdersById.size}/${targets.length} orders (${BULK_REST_DETAIL_FIELDS.join(', ')})`);
+}
+
+/**
+ * REST APIで注文取得（updated_at の昇順、page_infoでページネーション）
+ *
+ * pageInfo: 前回ページ上限で打ち切った位置から続ける場合のカーソル（最初のページからはnull）
+ * 戻り値: { orders, pages, nextPageInfo: maxPagesで打ち切った場合の次のページ（最後まで取得した場合はnull） }
+ */
+async function fetchOrdersRest(store, accessToken, updatedAtMin, updatedAtMax, maxPages, pageInfo = null) {
+  let allOrders = [];
+  let pageCount = 0;
+  
+  while (pageCount < maxPages) {
+    pageCount++;
+    
+    console.log(`📄 Fetching page ${pageCount}...`);
+    const page = await fetchOrdersPage(store, accessToken, updatedAtMin, updatedAtMax, pageInfo);
+    
+    console.log(`✅ Page ${pageCount}: ${page.orders.length} orders`);
+    allOrders = allOrders.concat(page.orders);
+    
+    if (!page.nextPageInfo) {
+      console.log('📋 No more pages. Finished fetching!');
+      return { orders: allOrders, pages: pageCount, nextPageInfo: null };
+    }
+    pageInfo = page.nextPageInfo;
+  }
+  
+  // ページ上限で打ち切り: 残りは次回、次のページのカーソルから取得する
+  // （updated_at の位置から再取得すると、同じ updated_at の注文がページ上限を超える場合に進まなくなる）
+  console.log(`⚠️ Reached page limit (${maxPages}). Remaining orders will be fetched next run.`);
+  return { orders: allOrders, pages: pageCount, nextPageInfo: pageInfo };
+}
+
+/**
+ * 注文を1ページ取得（pageInfo: 前のページのLinkヘッダーの page_info、最初のページはnull）
+ *
+ * 戻り値: { orders, nextPageInfo: 次のページが無い場合はnull }
+ */
+async function fetchOrdersPage(store, accessToken, updatedAtMin, updatedAtMax, pageInfo) {
+  const baseUrl = `https://${store}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/orders.json`;
+  const params = new URLSearchParams({
+    status: 'any',
+    limit: '250',
+    updated_at_min: updatedAtMin.toISOString(),
+    updated_at_max: updatedAtMax.toISOString(),
+    order: 'updated_at asc'
+  });
+  
+  const url = pageInfo ? 
+    `${baseUrl}?page_info=${pageInfo}&limit=250` : 
+    `${baseUrl}?${params}`;
+  
+  const response = await shopifyFetch(url, {
+    headers: {
+      'X-Shopify-Access-Token': accessToken,
+      'Content-Type': 'application/json'
+    }
+  });
+  
+  const data = await response.json();
+  
+  // 次のページ確認
+  const linkHeader = response.headers.get('Link');
+  const nextLinkMatch = linkHeader && linkHeader.match(/<[^>]*page_info=([^&>]+)[^>]*>;\s*rel="next"/);
+  
+  return { orders: data.orders || [], nextPageInfo: nextLinkMatch ? nextLinkMatch[1] : null };
+}
+
+/**
+ * 注文IDを指定して取得（REST API、250件ずつ。fields指定時はその項目のみ）
+ */
+async function fetchOrdersByIds(store, accessToken, orderIds, fields = null) {
+  const orders = [];
+  
+  for (let i = 0; i < orderIds.length; i += 250) {
+    const params = new URLSearchParams({
+      ids: orderIds.slice(i, i + 250).join(','),
+      status: 'any',
+      limit: '250'
+    });
+    if (fields) {
+      params.set('fields', fields.join(','));
+    }
+    
+    const response = await shopifyFetch(`https://${store}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/orders.json?${params}`, {
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    const data = await response.json();
+    orders.push(...(data.orders || []));
+  }
+  
+  return orders;
+}
+
+/**
+ * GraphQL Bulk Operationで注文を取得
+ *
+ * バルククエリを送信 → 完了までポーリング
+ * 戻り値: { url: 結果のJSONL（対象データが無い場合はnull）, updatedAtMin, syncedUntil: 取得した範囲 }
+ * 前回の実行で開始した処理を待った場合は、その処理の範囲を返す
+ */
+async function fetchOrdersBulk(store, accessToken, updatedAtMin, updatedAtMax) {
+  // 前回の実行で開始したバルク処理が残っている場合はそれを待つ（同時に1件しか実行できない）
+  const { currentBulkOperation } = await shopifyGraphql(store, accessToken, `{
+    currentBulkOperation { id status query }
+  }`);
+  
+  let operationId;
+  let range = { updatedAtMin, updatedAtMax };
+  if (currentBulkOperation && ['CREATED', 'RUNNING'].includes(currentBulkOperation.status)) {
+    // 実行中の処理は前回の実行の範囲で作成されているため、同期位置はその範囲の終わりまでとする
+    // 注文同期のバルククエリ以外（別のアプリ・手動実行など）の結果は取り込まない
+    range = parseBulkOrdersQuery(currentBulkOperation.query);
+    if (!range) {
+      throw new Error(`Another bulk operation is running: ${currentBulkOperation.id}（完了後に再実行してください）`);
+    }
+    
+    operationId = currentBulkOperation.id;
+    console.log(`⏳ Waiting for running bulk operation: ${operationId} (updated_at ${range.updatedAtMin.toISOString()} - ${range.updatedAtMax.toISOString()})`);
+  } else {
+    const { bulkOperationRunQuery } = await shopifyGraphql(store, accessToken, `
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }
+    `, { query: buildBulkOrdersQuery(updatedAtMin, updatedAtMax) });
+    
+    if (bulkOperationRunQuery.userErrors.length > 0) {
+      throw new Error(`Bulk operation error: ${bulkOperationRunQuery.userErrors.map(e => e.message).join(', ')}`);
+    }
+    
+    operationId = bulkOperationRunQuery.bulkOperation.id;
+    console.log(`📦 Bulk operation started: ${operationId}`);
+  }
+  
+  const operation = await waitForBulkOperation(store, accessToken, operationId);
+  console.log(`✅ Bulk operation completed: ${operation.objectCount} objects`);
+  
+  return { url: operation.url, updatedAtMin: range.updatedAtMin, syncedUntil: range.updatedAtMax };
+}
+
+/**
+ * バルククエリが buildBulkOrdersQuery で作成したものか確認し、取得範囲を返す（別のクエリの場合はnull）
+ */
+function parseBulkOrdersQuery(query) {
+  const match = (query || '').match(/updated_at:>='([^']+)' AND updated_at:<='([^']+)'/);
+  if (!match) return null;
+  
+  const updatedAtMin = new Date(match[1]);
+  const updatedAtMax = new Date(match[2]);
+  if (isNaN(updatedAtMin) || isNaN(updatedAtMax)) return null;
+  
+  // 空白の違いは無視して、同じ範囲で作成したクエリと比較
+  const normalize = text => text.replace(/\s+/g, '');
+  return normalize(buildBulkOrdersQuery(updatedAtMin, updatedAtMax)) === normalize(query)
+    ? { updatedAtMin, updatedAtMax }
+    : null;
+}
+
+/**
+ * バルククエリ（注文 + 明細・配送料の割引）
+ * 入れ子のコネクションは結果のJSONLで別行（__parentId付き）になる
+ */
+function buildBulkOrdersQuery(updatedAtMin, updatedAtMax) {
+  // 割引配分は参照先の割引も取得（注文のdiscountApplicationsは配分から組み立てる）
+  const discountAllocationFields = `discountAllocations {
+    allocatedAmountSet { shopMoney { amount } }
+    discountApplication {
+      __typename index allocationMethod targetSelection targetType
+      value { ... on MoneyV2 { amount } ... on PricingPercentageValue { percentage } }
+      ... on DiscountCodeApplication { code }
+      ... on AutomaticDiscountApplication { title }
+      ... on ManualDiscountApplication { title }
+      ... on ScriptDiscountApplication { title }
+    }
+  }`;
+  const taxLineFields = 'taxLines { rate priceSet { shopMoney { amount } } }';
+  
+  return `{
+    orders(query: "updated_at:>='${updatedAtMin.toISOString()}' AND updated_at:<='${updatedAtMax.toISOString()}'") {
+      edges {
+        node {
+          id
+          legacyResourceId
+          name
+          createdAt
+          updatedAt
+          cancelledAt
+          currencyCode
+          displayFinancialStatus
+          displayFulfillmentStatus
+          customer { firstName lastName }
+          shippingAddress { province provinceCode city zip }
+          subtotalPriceSet { shopMoney { amount } }
+          totalTaxSet { shopMoney { amount } }
+          totalShippingPriceSet { shopMoney { amount } }
+          totalDiscountsSet { shopMoney { amount } }
+          totalPriceSet { shopMoney { amount } }
+          taxesIncluded
+          ${taxLineFields}
+          fulfillments {
+            legacyResourceId status displayStatus createdAt updatedAt
+            service { handle }
+            trackingInfo { company number url }
+          }
+          refunds { legacyResourceId createdAt note totalRefundedSet { shopMoney { amount } } }
+          shippingLines {
+            edges {
+              node {
+                id
+                title
+                code
+                originalPriceSet { shopMoney { amount } }
+                ${taxLineFields}
+                ${discountAllocationFields}
+              }
+            }
+          }
+          lineItems {
+            edges {
+              node {
+                id
+                sku
+                name
+                title
+                quantity
+                unfulfilledQuantity
+                originalUnitPriceSet { shopMoney { amount } }
+                product { legacyResourceId }
+                variant { legacyResourceId }
+                ${taxLineFields}
+                ${discountAllocationFields}
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+}
+
+/**
+ * バルク処理の完了を待つ（ポーリング）
+ */
+async function waitForBulkOperation(store, accessToken, operationId) {
+  const startTime = Date.now();
+  
+  while (Date.now() - startTime < BULK_MAX_WAIT_MS) {
+    const { node: operation } = await shopifyGraphql(store, accessToken, `
+      query ($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation { id status errorCode objectCount url }
+        }
+      }
+    `, { id: operationId });
+    
+    console.log(`📦 Bulk operation status: ${operation.status} (${operation.objectCount} objects)`);
+    
+    if (operation.status === 'COMPLETED') {
+      return operation;
+    }
+    if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+      throw new Error(`Bulk operation ${operation.status}: ${operation.errorCode || 'unknown'}`);
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
+  }
+  
+  // 処理はShopify側で継続するので、次回の実行で結果を取得できる
+  throw new Error(`Bulk operation timeout: ${operationId}（次回の実行で再開します）`);
+}
+
+/**
+ * バルク処理結果（JSONL）を1行ずつ読み込み、REST形式の注文に組み立てて chunkSize 件ごとに onChunk へ渡す
+ *
+ * 子（明細・配送料）は親の注文より後の行に出るが、連続するとは限らない。
+ * 渡し済みの注文の子が後から出た場合は、その注文のIDを lateOrderIds として返す（呼び出し元で取り直す）
+ * 戻り値: { orderCount, lateOrderIds }
+ */
+async function streamBulkOrders(url, chunkSize, onChunk) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Bulk result download error: ${response.status}`);
+  }
+  
+  const ordersById = new Map();
+  const flushedIds = new Set();
+  const lateOrderIds = new Set();
+  let orderCount = 0;
+  const lines = readline.createInterface({ input: response.body, crlfDelay: Infinity });
+  
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    
+    const node = JSON.parse(line);
+    if (!node.__parentId) {
+      // 次の注文の行が出た時点で、溜まった注文を渡す
+      if (ordersById.size >= chunkSize) {
+        await onChunk([...ordersById.values()]);
+        ordersById.forEach((order, id) => flushedIds.add(id));
+        ordersById.clear();
+      }
+      
+      ordersById.set(node.id, toRestOrder(node));
+      orderCount++;
+      continue;
+    }
+    
+    const order = ordersById.get(node.__parentId);
+    if (!order) {
+      if (flushedIds.has(node.__parentId)) {
+        lateOrderIds.add(node.__parentId.split('/').pop());
+      }
+      continue;
+    }
+    
+    if (node.id.startsWith('gid://shopify/LineItem/')) {
+      order.line_items.push(toRestLineItem(node));
+    } else if (node.id.startsWith('gid://shopify/ShippingLine/')) {
+      order.shipping_lines.push(toRestShippingLine(node));
+    } else {
+      continue;
+    }
+    
+    // 配分が参照する割引を注文のdiscount_applications（indexの位置）に登録
+    for (const allocation of node.discountAllocations || []) {
+      if (allocation.discountApplication) {
+        order.discount_applications[allocation.discountApplication.index] = toRestDiscountApplication(allocation.discountApplication);
+      }
+    }
+  }
+  
+  if (ordersById.size > 0) {
+    await onChunk([...ordersById.values()]);
+  }
+  
+  return { orderCount, lateOrderIds: [...lateOrderIds] };
+}
+
+/**
+ * GraphQLの注文をREST APIの注文と同じ形に変換（transformOrderで使う項目のみ）
+ */
+function toRestOrder(node) {
+  return {
+    id: node.legacyResourceId,
+    name: node.name,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    cancelled_at: node.cancelledAt,
+    currency: node.currencyCode,
+    financial_status: node.displayFinancialStatus ? node.displayFinancialStatus.toLowerCase() : null,
+    fulfillment_status: BULK_FULFILLMENT_STATUS[node.displayFulfillmentStatus] || null,
+    customer: node.customer ? { first_name: node.customer.firstName, last_name: node.customer.lastName } : null,
+    shipping_address: node.shippingAddress ? {
+      province: node.shippingAddress.province,
+      province_code: node.shippingAddress.provinceCode,
+      city: node.shippingAddress.city,
+      zip: node.shippingAddress.zip
+    } : null,
+    subtotal_price: shopMoney(node.subtotalPriceSet),
+    total_tax: shopMoney(node.totalTaxSet),
+    total_shipping_price_set: { shop_money: { amount: shopMoney(node.totalShippingPriceSet) } },
+    total_discounts: shopMoney(node.totalDiscountsSet),
+    total_price: shopMoney(node.totalPriceSet),
+    taxes_included: node.taxesIncluded,
+    tax_lines: toRestTaxLines(node.taxLines),
+    discount_applications: [],
+    // REST APIと同じく作成日時の昇順
+    fulfillments: (node.fulfillments || [])
+      .map(toRestFulfillment)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+    // リスト内のコネクション（refundLineItems）はバルククエリで取得できないため返金額のみ
+    // 返金がある注文は attachRestDetails でREST APIの返金（返金明細・返金調整を含む）に置き換える
+    // refund_line_items: null = 明細の返金は不明（置き換えできなかった場合。order_itemsの既存の値を維持）
+    refunds: (node.refunds || []).map(refund => ({
+      id: refund.legacyResourceId,
+      created_at: refund.createdAt,
+      note: refund.note,
+      transactions: [{ kind: 'refund', status: 'success', amount: shopMoney(refund.totalRefundedSet) }],
+      refund_line_items: null,
+      order_adjustments: []
+    })),
+    shipping_lines: [],
+    line_items: []
+  };
+}
+
+/**
+ * GraphQLの明細をREST APIの明細と同じ形に変換
+ */
+function toRestLineItem(node) {
+  return {
+    id: node.id.split('/').pop(),
+    sku: node.sku,
+    name: node.name,
+    title: node.title,
+    quantity: node.quantity,
+    price: shopMoney(node.originalUnitPriceSet),
+    product_id: node.product?.legacyResourceId,
+    variant_id: node.variant?.legacyResourceId,
+    fulfillment_status: node.unfulfilledQuantity === 0 ? 'fulfilled' : null,
+    tax_lines: toRestTaxLines(node.taxLines),
+    discount_allocations: toRestAllocations(node.discountAllocations)
+  };
+}
+
+/**
+ * GraphQLのフルフィルメントをREST APIのfulfillmentと同じ形に変換
+ *
+ * リスト内のコネクション（fulfillmentLineItems）はバルククエリで取得できないため明細は空
+ * （フルフィルメントがある注文は attachRestDetails でREST APIのfulfillment（明細を含む）に置き換える）
+ */
+function toRestFulfillment(fulfillment) {
+  const trackingInfo = fulfillment.trackingInfo || [];
+  return {
+    id: fulfillment.legacyResourceId,
+    status: fulfillment.status ? fulfillment.status.toLowerCase() : null,
+    shipment_status: fulfillment.displayStatus ? fulfillment.displayStatus.toLowerCase() : null,
+    created_at: fulfillment.createdAt,
+    updated_at: fulfillment.updatedAt,
+    service: fulfillment.service?.handle,
+    tracking_company: trackingInfo[0]?.company,
+    tracking_numbers: trackingInfo.map(info => info.number).filter(Boolean),
+    tracking_urls: trackingInfo.map(info => info.url).filter(Boolean),
+    line_items: []
+  };
+}
+
+/**
+ * GraphQLの配送料をREST APIの配送料と同じ形に変換
+ */
+function toRestShippingLine(node) {
+  return {
+    id: node.id.split('/').pop(),
+    title: node.title,
+    code: node.code,
+    price: shopMoney(node.originalPriceSet),
+    tax_lines: toRestTaxLines(node.taxLines),
+    discount_allocations: toRestAllocations(node.discountAllocations)
+  };
+}
+
+/**
+ * GraphQLの税明細をREST形式（{ rate, price }）に変換
+ */
+function toRestTaxLines(taxLines) {
+  return (taxLines || []).map(taxLine => ({ rate: taxLine.rate, price: shopMoney(taxLine.priceSet) }));
+}
+
+/**
+ * GraphQLの割引（DiscountApplication）をREST APIのdiscount_applicationsと同じ形に変換
+ */
+function toRestDiscountApplication(application) {
+  const isPercentage = application.value?.percentage !== undefined;
+  
+  return {
+    type: BULK_DISCOUNT_TYPES[application.__typename] || application.__typename,
+    code: application.code,
+    title: application.title,
+    value: isPercentage ? application.value.percentage : application.value?.amount,
+    value_type: isPercentage ? 'percentage' : 'fixed_amount',
+    allocation_method: application.allocationMethod?.toLowerCase(),
+    target_selection: application.targetSelection?.toLowerCase(),
+    target_type: application.targetType?.toLowerCase()
+  };
+}
+
+/**
+ * GraphQLの割引配分をREST形式（{ amount, discount_application_index }）に変換
+ */
+function toRestAllocations(allocations) {
+  return (allocations || []).map(allocation => ({
+    amount: shopMoney(allocation.allocatedAmountSet),
+    discount_application_index: allocation.discountApplication?.index
+  }));
+}
+
+/**
+ * MoneyBag（xxxSet）からショップ通貨の金額を取得
+ */
+function shopMoney(moneySet) {
+  return moneySet?.shopMoney?.amount || '0';
+}
+
+/**
+ * 注文をordersテーブルの行に変換（配送先情報追加）
+ */
+function transformOrder(order, accountName) {
+  const fulfillmentDate = order.fulfillments && order.fulfillments.length > 0 
+    ? order.fulfillments[0].created_at 
+    : null;
+  
+  // 配送先情報の取得
+  const shippingAddress = order.shipping_address || {};
+  const shipState = shippingAddress.province || shippingAddress.province_code || '';
+  const shipCity = shippingAddress.city || '';
+  const shipPostalCode = shippingAddress.zip || '';
+
+  // 配送料の割引（shipping_linesごとの割引配分の合計）
+  const shippingDiscount = (order.shipping_lines || []).reduce(
+    (sum, line) => sum + sumDiscountAllocations(line.discount_allocations), 0);
+
+  // 返金額（成功した返金トランザクションの合計）
+  const refundedAmount = (order.refunds || []).reduce((sum, refund) => sum + (refund.transactions || [])
+    .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+    .reduce((refundSum, transaction) => refundSum + parseFloat(transaction.amount || 0), 0), 0);
+  const totalAmount = parseFloat(order.total_price || 0);
+
+  // 税率ごとの税額（注文のtax_linesは明細・配送料の合計）
+  const taxByRate = sumTaxLinesByRate(order.tax_lines);
+
+  return {
+    order_id: `SHOPIFY-${accountName}-${order.id}`,
+    channel: 'Shopify',
+    account_name: accountName,
+    order_number: order.name || order.order_number?.toString() || order.id.toString(),
+    order_date: order.created_at,
+    fulfillment_date: fulfillmentDate,
+    customer_name: order.customer ? 
+      `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim() : 
+      'Guest',
+    ship_state: shipState,           // ← 追加
+    ship_city: shipCity,             // ← 追加
+    ship_postal_code: shipPostalCode, // ← 追加
+    subtotal_amount: parseFloat(order.subtotal_price || 0),
+    tax_amount: parseFloat(order.total_tax || 0),
+    shipping_amount: parseFloat(order.total_shipping_price_set?.shop_money?.amount || 0),
+    discount_amount: Math.max(parseFloat(order.total_discounts || 0) - shippingDiscount, 0),
+    shipping_discount_amount: shippingDiscount,
+    gift_wrap_amount: 0,
+    gift_wrap_tax_amount: 0,
+    total_amount: totalAmount,
+    currency: order.currency || 'JPY',
+    payment_status: order.financial_status || 'unknown',
+    fulfillment_status: order.fulfillment_status || 'unfulfilled',
+    is_cancelled: !!order.cancelled_at,
+    refunded_amount: refundedAmount,
+    net_sales_amount: totalAmount - refundedAmount,
+    taxes_included: !!order.taxes_included,
+    tax_10_amount: taxByRate[10] || 0,
+    tax_8_amount: taxByRate[8] || 0,
+    discount_codes: joinDiscountLabels(order.discount_applications),
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+    shopify_updated_at: order.updated_at
+  };
+}
+
+/**
+ * 注文の明細をorder_itemsテーブルの行に変換
+ */
+function transformOrderItems(order, accountName) {
+  // 明細ごとの返金数量・返金額（明細が不明な返金がある場合はNULL）
+  const refunds = order.refunds || [];
+  const hasUnknownRefundLines = refunds.some(refund => refund.refund_line_items === null);
+  const refundedByLine = new Map();
+  for (const refund of refunds) {
+    for (const refundLine of refund.refund_line_items || []) {
+      const key = String(refundLine.line_item_id);
+      const refunded = refundedByLine.get(key) || { quantity: 0, amount: 0 };
+      refunded.quantity += refundLine.quantity || 0;
+      refunded.amount += parseFloat(refundLine.subtotal || 0);
+      refundedByLine.set(key, refunded);
+    }
+  }
+
+  return (order.line_items || []).map(item => {
+    const lineTotal = parseFloat(item.price || 0) * item.quantity;
+    // 割引配分が無い場合は明細の割引合計（total_discount）
+    const discountAmount = item.discount_allocations?.length > 0
+      ? sumDiscountAllocations(item.discount_allocations)
+      : parseFloat(item.total_discount || 0);
+    const refunded = refundedByLine.get(item.id.toString()) || { quantity: 0, amount: 0 };
+
+    return {
+      order_id: `SHOPIFY-${accountName}-${order.id}`,
+      channel: 'Shopify',
+      line_item_id: item.id.toString(),
+      sku: itemSku(item),
+      product_name: item.name || item.title,
+      quantity: item.quantity,
+      unit_price: parseFloat(item.price || 0),
+      line_total: lineTotal,
+      discount_amount: discountAmount,
+      gift_wrap_amount: 0,
+      discounted_line_total: lineTotal - discountAmount,
+      tax_amount: sumTaxLines(item.tax_lines),
+      tax_rate: singleTaxRate(item.tax_lines),
+      discount_codes: joinDiscountLabels(allocatedApplications(order, item.discount_allocations)),
+      refunded_quantity: hasUnknownRefundLines ? null : refunded.quantity,
+      refunded_amount: hasUnknownRefundLines ? null : refunded.amount,
+      net_sales_amount: hasUnknownRefundLines ? null : lineTotal - discountAmount - refunded.amount,
+      currency: order.currency || 'JPY',
+      quantity_fulfilled: item.fulfillment_status === 'fulfilled' ? item.quantity : 0,
+      quantity_unfulfilled: item.fulfillment_status === 'fulfilled' ? 0 : item.quantity,
+      created_at: new Date().toISOString(),
+      shopify_updated_at: order.updated_at
+    };
+  });
+}
+
+/**
+ * 注文の返金をorder_refundsテーブルの行に変換（返金明細 + 返金調整）
+ */
+function transformRefunds(order, accountName) {
+  const rows = [];
+
+  for (const refund of order.refunds || []) {
+    const base = {
+      refund_id: refund.id.toString(),
+      order_id: `SHOPIFY-${accountName}-${order.id}`,
+      channel: 'Shopify',
+      reason: refund.note || '',
+      refunded_at: refund.created_at,
+      created_at: new Date().toISOString(),
+      shopify_updated_at: order.updated_at
+    };
+
+    for (const refundLine of refund.refund_line_items || []) {
+      rows.push({
+        ...base,
+        refund_line_id: `${refund.id}-line-${refundLine.id}`,
+        line_type: 'line_item',
+        line_item_id: String(refundLine.line_item_id),
+        sku: refundLine.line_item?.sku || '',
+        quantity: refundLine.quantity || 0,
+        amount: parseFloat(refundLine.subtotal || 0),
+        tax_amount: parseFloat(refundLine.total_tax || 0),
+        // restock_type が無い場合（古い返金）は restock を使用
+        restock: refundLine.restock_type ? refundLine.restock_type !== 'no_restock' : !!refundLine.restock,
+        restock_type: refundLine.restock_type || (refundLine.restock ? 'legacy_restock' : 'no_restock'),
+        adjustment_kind: null
+      });
+    }
+
+    // 配送料の返金・返金額の差異（金額は返金が負の値なので符号を反転）
+    for (const adjustment of refund.order_adjustments || []) {
+      rows.push({
+        ...base,
+        refund_line_id: `${refund.id}-adjustment-${adjustment.id}`,
+        line_type: 'adjustment',
+        line_item_id: null,
+        sku: '',
+        quantity: 0,
+        amount: -parseFloat(adjustment.amount || 0) || 0,
+        tax_amount: -parseFloat(adjustment.tax_amount || 0) || 0,
+        restock: false,
+        restock_type: null,
+        adjustment_kind: adjustment.kind || '',
+        reason: adjustment.reason || base.reason
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * 割引の配分をorder_discountsテーブルの行に変換（明細・配送料ごと）
+ */
+function transformDiscounts(order, accountName) {
+  const applications = order.discount_applications || [];
+  const rows = [];
+
+  const toRow = (allocation, target) => {
+    const application = applications[allocation.discount_application_index] || {};
+    return {
+      order_id: `SHOPIFY-${accountName}-${order.id}`,
+      channel: 'Shopify',
+      application_index: allocation.discount_application_index,
+      discount_type: application.type || '',
+      discount_code: application.code || null,
+      title: application.title || application.code || '',
+      value: parseFloat(application.value || 0),
+      value_type: application.value_type || '',
+      allocation_method: application.allocation_method || '',
+      amount: parseFloat(allocation.amount || 0),
+      created_at: new Date().toISOString(),
+      shopify_updated_at: order.updated_at,
+      ...target
+    };
+  };
+
+  // 配分先の割引が特定できないもの（discount_application_index無し）は除外
+  for (const item of order.line_items || []) {
+    for (const allocation of item.discount_allocations || []) {
+      if (allocation.discount_application_index === undefined) continue;
+      rows.push(toRow(allocation, {
+        discount_line_id: `${order.id}-${allocation.discount_application_index}-line-${item.id}`,
+        target_type: 'line_item',
+        line_item_id: item.id.toString(),
+        shipping_line_id: null,
+        sku: itemSku(item)
+      }));
+    }
+  }
+
+  for (const shippingLine of order.shipping_lines || []) {
+    for (const allocation of shippingLine.discount_allocations || []) {
+      if (allocation.discount_application_index === undefined) continue;
+      rows.push(toRow(allocation, {
+        discount_line_id: `${order.id}-${allocation.discount_application_index}-shipping-${shippingLine.id}`,
+        target_type: 'shipping_line',
+        line_item_id: null,
+        shipping_line_id: String(shippingLine.id),
+        sku: ''
+      }));
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * 配送料（shipping_lines）をorder_shipping_linesテーブルの行に変換
+ */
+function transformShippingLines(order, accountName) {
+  return (order.shipping_lines || []).map(shippingLine => {
+    const price = parseFloat(shippingLine.price || 0);
+    const discountAmount = sumDiscountAllocations(shippingLine.discount_allocations);
+
+    return {
+      shipping_line_id: String(shippingLine.id),
+      order_id: `SHOPIFY-${accountName}-${order.id}`,
+      channel: 'Shopify',
+      title: shippingLine.title || '',
+      code: shippingLine.code || '',
+      price: price,
+      discount_amount: discountAmount,
+      discounted_price: price - discountAmount,
+      tax_amount: sumTaxLines(shippingLine.tax_lines),
+      tax_rate: singleTaxRate(shippingLine.tax_lines),
+      created_at: new Date().toISOString(),
+      shopify_updated_at: order.updated_at
+    };
+  });
+}
+
+
+/**
+ * 出荷（fulfillmentの明細ごと）をorder_shipmentsの行に変換
+ */
+function transformShipments(order, accountName) {
+  return (order.fulfillments || []).flatMap(fulfillment => (fulfillment.line_items || []).map(item => ({
+    shipment_line_id: `SHOPIFY-${fulfillment.id}-${item.id}`,
+    order_id: `SHOPIFY-${accountName}-${order.id}`,
+    channel: 'Shopify',
+    line_item_id: String(item.id),
+    shipment_id: String(fulfillment.id),
+    sku: itemSku(item),
+    quantity: item.quantity,
+    shipment_date: fulfillment.created_at,
+    carrier: fulfillment.tracking_company || '',
+    tracking_number: (fulfillment.tracking_numbers || []).join(', '),
+    fulfillment_type: fulfillment.service || 'manual',
+    tracking_url: (fulfillment.tracking_urls || []).join(', '),
+    shipment_status: fulfillment.shipment_status || null,
+    fulfillment_status: fulfillment.status || null,
+    updated_at: fulfillment.updated_at || fulfillment.created_at,
+    created_at: new Date().toISOString(),
+    shopify_updated_at: order.updated_at
+  })));
+}
+
+/**
+ * 取得開始日時（updated_at_min）の決定
+ * - days_back指定時: バックフィル（指定日数分）
+ * - 未指定時: sync_stateの前回の位置 - overlap_hours から差分取得
+ * - sync_state未登録時: DEFAULT_DAYS_BACK日分
+ */
+async function resolveUpdatedAtMin(channel, daysBack, overlapHours) {
+  if (daysBack) {
+    return { updatedAtMin: new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000), mode: 'backfill' };
+  }
+  
+  const lastSyncedAt = await getSyncState(channel);
+  
+  if (!lastSyncedAt) {
+    console.log(`📌 No sync_state. Fetching last ${DEFAULT_DAYS_BACK} days.`);
+    return { updatedAtMin: new Date(Date.now() - DEFAULT_DAYS_BACK * 24 * 60 * 60 * 1000), mode: 'initial' };
+  }
+  
+  console.log(`📌 Last synced: ${lastSyncedAt.toISOString()} (overlap: ${overlapHours}h)`);
+  return { updatedAtMin: new Date(lastSyncedAt.getTime() - overlapHours * 60 * 60 * 1000), mode: 'incremental' };
+}
+
+/**
+ * sync_stateテーブル作成（存在しない場合のみ）
+ */
+async function ensureSyncStateTable() {
+  const [exists] = await bigquery.dataset('andcore_main').table(SYNC_STATE_TABLE).exists();
+  if (exists) return;
+  
+  await bigquery.dataset('andcore_main').createTable(SYNC_STATE_TABLE, {
+    schema: [
+      { name: 'channel', type: 'STRING' },
+      { name: 'sync_type', type: 'STRING' },
+      { name: 'last_synced_at', type: 'TIMESTAMP' },
+      { name: 'updated_at', type: 'TIMESTAMP' }
+    ]
+  });
+  console.log(`🧱 Created table: ${SYNC_STATE_TABLE}`);
+}
+
+/**
+ * 前回同期した updated_at の位置を取得
+ */
+async function getSyncState(channel) {
+  await ensureSyncStateTable();
+  
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT last_synced_at
+      FROM \`andcore_main.${SYNC_STATE_TABLE}\`
+      WHERE channel = @channel AND sync_type = @syncType
+      ORDER BY last_synced_at DESC
+      LIMIT 1
+    `,
+    params: { channel, syncType: SYNC_TYPE_ORDERS }
+  });
+  
+  if (rows.length === 0 || !rows[0].last_synced_at) {
+    return null;
+  }
+  
+  return new Date(rows[0].last_synced_at.value);
+}
+
+/**
+ * 同期した updated_at の位置を記録（DMLで更新するためストリーミングバッファの影響なし）
+ */
+async function updateSyncState(channel, syncedUntil) {
+  await ensureSyncStateTable();
+  
+  await bigquery.query({
+    query: `
+      MERGE \`andcore_main.${SYNC_STATE_TABLE}\` T
+      USING (SELECT @channel as channel, @syncType as sync_type, @lastSyncedAt as last_synced_at) S
+      ON T.channel = S.channel AND T.sync_type = S.sync_type
+      WHEN MATCHED THEN
+        UPDATE SET
+          last_synced_at = S.last_synced_at,
+          updated_at = CURRENT_TIMESTAMP()
+      WHEN NOT MATCHED THEN
+        INSERT (channel, sync_type, last_synced_at, updated_at)
+        VALUES (S.channel, S.sync_type, S.last_synced_at, CURRENT_TIMESTAMP())
+    `,
+    params: { channel, syncType: SYNC_TYPE_ORDERS, lastSyncedAt: syncedUntil },
+    types: { lastSyncedAt: 'TIMESTAMP' }
+  });
+  console.log(`📌 sync_state updated: ${channel} → ${syncedUntil.toISOString()}`);
+}
+
+/**
+ * shopify_sync_runsテーブルから未完了の全期間同期を取得
+ */
+async function getActiveSyncRun(channel) {
+  await ensureTable(SYNC_RUNS_TABLE, SYNC_RUNS_SCHEMA);
+  
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT *
+      FROM \`andcore_main.${SYNC_RUNS_TABLE}\`
+      WHERE channel = @channel AND status IN ('fetching', 'merging')
+      ORDER BY started_at DESC
+      LIMIT 1
+    `,
+    params: { channel }
+  });
+  
+  return rows.length > 0 ? parseSyncRun(rows[0]) : null;
+}
+
+/**
+ * 差分同期・バックフィル（REST）のカーソルの run_id（チャネルごとに1行）
+ */
+function pausedRunId(channel) {
+  return `${channel.replace(/\W/g, '_')}_incremental`;
+}
+
+/**
+ * ページ上限で打ち切った差分同期・バックフィルのカーソルを取得（無い場合はnull）
+ */
+async function getPausedSyncRun(channel) {
+  await ensureTable(SYNC_RUNS_TABLE, SYNC_RUNS_SCHEMA);
+  
+  const [rows] = await bigquery.query({
+    query: `
+      SELECT *
+      FROM \`andcore_main.${SYNC_RUNS_TABLE}\`
+      WHERE run_id = @runId AND status = 'paused'
+    `,
+    params: { runId: pausedRunId(channel) }
+  });
+  
+  return rows.length > 0 ? parseSyncRun(rows[0]) : null;
+}
+
+/**
+ * shopify_sync_runs の行（TIMESTAMPは { value } で返る）をDateに変換
+ */
+function parseSyncRun(run) {
+  return {
+    ...run,
+    updated_at_min: new Date(run.updated_at_min.value),
+    updated_at_max: new Date(run.updated_at_max.value),
+    started_at: new Date(run.started_at.value)
+  };
+}
+
+/**
+ * 差分同期・バックフィル（REST）のMERGE成功後に同期位置を保存
+ *
+ * - ページ上限で打ち切った場合: sync_state は進めず、次のページのカーソルを保存（次回の差分同期で続きから取得）
+ * - 最後のページまで取得した場合: sync_state を取得範囲の終わりまで進め（前回の位置より新しい場合のみ）、
+ *   カーソルから再開していた場合はカーソルを完了にする
+ */
+async function saveSyncProgress(run, resumed) {
+  if (run.page_info) {
+    await saveSyncRun({ ...run, status: 'paused' });
+    console.log(`⏸️ Page cursor saved: resume from page ${run.pages_fetched + 1} next run`);
+    return;
+  }
+  
+  const lastSyncedAt = await getSyncState(run.channel);
+  if (!lastSyncedAt || lastSyncedAt < run.updated_at_max) {
+    await updateSyncState(run.channel, run.updated_at_max);
+  }
+  
+  if (resumed) {
+    await saveSyncRun({ ...run, status: 'completed' });
+  }
+}
+
+/**
+ * 全期間同期・差分同期のカーソルの進捗を保存（DMLで更新するためストリーミングバッファの影響なし）
+ *
+ * 差分同期のカーソルはチャネルごとに同じ run_id の行を使うため、取得範囲も更新する
+ */
+async function saveSyncRun(run) {
+  await bigquery.query({
+    query: `
+      MERGE \`andcore_main.${SYNC_RUNS_TABLE}\` T
+      USING (SELECT @runId as run_id) S
+      ON T.run_id = S.run_id
+      WHEN MATCHED THEN
+        UPDATE SET
+          status = @status,
+          updated_at_min = @updatedAtMin,
+          updated_at_max = @updatedAtMax,
+          page_info = @pageInfo,
+          pages_fetched = @pagesFetched,
+          orders_staged = @ordersStaged,
+          started_at = @startedAt,
+          updated_at = CURRENT_TIMESTAMP()
+      WHEN NOT MATCHED THEN
+        INSERT (run_id, channel, status, updated_at_min, updated_at_max, page_info,
+                pages_fetched, orders_staged, started_at, updated_at)
+        VALUES (@runId, @channel, @status, @updatedAtMin, @updatedAtMax, @pageInfo,
+                @pagesFetched, @ordersStaged, @startedAt, CURRENT_TIMESTAMP())
+    `,
+    params: {
+      runId: run.run_id,
+      channel: run.channel,
+      status: run.status,
+      updatedAtMin: run.updated_at_min,
+      updatedAtMax: run.updated_at_max,
+      pageInfo: run.page_info,
+      pagesFetched: run.pages_fetched,
+      ordersStaged: run.orders_staged,
+      startedAt: run.started_at
+    },
+    types: {
+      runId: 'STRING',
+      channel: 'STRING',
+      status: 'STRING',
+      updatedAtMin: 'TIMESTAMP',
+      updatedAtMax: 'TIMESTAMP',
+      pageInfo: 'STRING',
+      pagesFetched: 'INT64',
+      ordersStaged: 'INT64',
+      startedAt: 'TIMESTAMP'
+    }
+  });
+}
+
+/**
+ * 割引配分（discount_allocations）の合計金額
+ */
+function sumDiscountAllocations(allocations) {
+  return (allocations || []).reduce((sum, allocation) => sum + parseFloat(allocation.amount || 0), 0);
+}
+
+/**
+ * 割引配分（discount_allocations）が参照する割引（discount_applications）
+ */
+function allocatedApplications(order, allocations) {
+  return (allocations || []).map(allocation => (order.discount_applications || [])[allocation.discount_application_index]);
+}
+
+/**
+ * 割引の表示名（割引コード、無ければタイトル）をカンマ区切りで連結
+ */
+function joinDiscountLabels(applications) {
+  const labels = (applications || [])
+    .filter(Boolean)
+    .map(application => application.code || application.title || application.type);
+  return [...new Set(labels)].join(', ');
+}
+
+/**
+ * 税明細（tax_lines）の合計金額
+ */
+function sumTaxLines(taxLines) {
+  return (taxLines || []).reduce((sum, taxLine) => sum + parseFloat(taxLine.price || 0), 0);
+}
+
+/**
+ * 税明細の税率（税明細が1件の場合のみ。複数の税率を合計しても意味が無いため、複数・無しはNULL）
+ */
+function singleTaxRate(taxLines) {
+  if (!taxLines || taxLines.length !== 1) return null;
+  return parseFloat(taxLines[0].rate || 0);
+}
+
+/**
+ * 税率（%）ごとの税額（例: { 10: 1000, 8: 80 }）
+ */
+function sumTaxLinesByRate(taxLines) {
+  const byRate = {};
+  for (const taxLine of taxLines || []) {
+    const ratePercent = Math.round(parseFloat(taxLine.rate || 0) * 100);
+    byRate[ratePercent] = (byRate[ratePercent] || 0) + parseFloat(taxLine.price || 0);
+  }
+  return byRate;
+}
+
+/**
+ * 明細のSKU（未設定の場合は商品ID・バリアントIDから生成）
+ */
+function itemSku(item) {
+  return item.sku || `SHOPIFY-${item.product_id}-${item.variant_id}`;
+}
+
+
+/**
+ * 一時テーブルを作成して行を投入（500件ずつ）
+ */
+async function createStagingTable(tableId, schema, rows) {
+  console.log(`💾 Creating temp table: ${tableId}...`);
+  await bigquery.dataset('andcore_main').createTable(tableId, { schema });
+  await insertRows(tableId, rows);
+  
+  return tableId;
+}
+
+/**
+ * 行を投入（500件ずつ）
+ */
+async function insertRows(tableId, rows) {
+  const table = bigquery.dataset('andcore_main').table(tableId);
+  const chunkSize = 500;
+  for (let i = 0; i < rows.length; i += chunkSize) {
+    await table.insert(rows.slice(i, i + chunkSize));
+    console.log(`   Inserted ${i + 1} - ${Math.min(i + chunkSize, rows.length)} rows`);
+  }
+}
+
+/**
+ * 全期間同期・バルクの一時テーブル名（全期間同期は実行をまたいで使用するためrun_idから決定）
+ * kind: 'fullsync' / 'bulk'
+ */
+function runStagingTables(runId, kind = 'fullsync') {
+  return {
+    orders: `orders_${kind}_${runId}`,
+    items: `order_items_${kind}_${runId}`,
+    details: ORDER_DETAIL_TABLES.map(detail => ({ ...detail, tempTable: `${detail.tableId}_${kind}_${runId}` })),
+    paged: true
+  };
+}
+
+/**
+ * 一時テーブルの一覧（orders / order_items / 返金・割引・配送料）
+ */
+function listStagingTables(staging) {
+  return [
+    {
+      tableId: 'orders',
+      tempTable: staging.orders,
+      schema: ORDERS_SCHEMA,
+      keyColumns: ['order_id', 'channel'],
+      transform: (order, accountName) => [transformOrder(order, accountName)]
+    },
+    {
+      tableId: 'order_items',
+      tempTable: staging.items,
+      schema: ORDER_ITEMS_SCHEMA,
+      keyColumns: ['order_id', 'channel', 'line_item_id'],
+      transform: transformOrderItems
+    },
+    ...staging.details
+  ].filter(table => table.tempTable);
+}
+
+/**
+ * 全期間同期・バルクの一時テーブル作成（page_number列付き、再開されない・途中で失敗した場合は期限切れで自動削除）
+ */
+async function createRunStagingTables(staging) {
+  const expirationTime = String(Date.now() + STAGING_EXPIRATION_MS);
+  
+  for (const table of listStagingTables(staging)) {
+    await bigquery.dataset('andcore_main').createTable(table.tempTable, {
+      schema: [...table.schema, { name: 'page_number', type: 'INTEGER' }],
+      expirationTime
+    });
+    console.log(`💾 Created temp table: ${table.tempTable}`);
+  }
+}
+
+/**
+ * 列の追加前に作成した全期間同期の一時テーブルに shopify_updated_at を追加（再開時）
+ */
+async function ensureStagingColumns(staging) {
+  for (const table of listStagingTables(staging)) {
+    await ensureColumns(table.tempTable, [SHOPIFY_UPDATED_AT_COLUMN]);
+  }
+}
+
+/**
+ * 1ページ分の注文を変換して全期間同期・バルクの一時テーブルへ投入
+ * 戻り値: テーブルごとの投入行数（{ orders, order_items, order_refunds, ... }）
+ */
+async function stageOrdersPage(staging, orders, accountName, pageNumber) {
+  const counts = {};
+  for (const table of listStagingTables(staging)) {
+    const rows = orders
+      .flatMap(order => table.transform(order, accountName))
+      .map(row => ({ ...row, page_number: pageNumber }));
+    await insertRows(table.tempTable, rows);
+    counts[table.tableId] = rows.length;
+  }
+  return counts;
+}
+
+/**
+ * 一時テーブルから orders / order_items / 返金・割引・配送料へMERGE
+ */
+async function mergeStagedOrders(projectId, staging) {
+  // 全期間同期・バルクでは同じ注文が複数のページ・chunkに出るため、Shopifyの更新日時が最も新しい行を採用
+  const source = (tempTable, keyColumns) => staging.paged
+    ? latestStagedRows(projectId, tempTable, keyColumns)
+    : `\`${projectId}.andcore_main.${tempTable}\``;
+  
+  // 割引・ギフト包装・キャンセル・返金の列が無い場合は追加
+  await ensureOrderColumns();
+  
+  console.log('💾 MERGE: orders...');
+  await bigquery.query(buildOrdersMergeQuery(projectId, source(staging.orders, ['order_id', 'channel'])));
+  console.log('✅ Orders merged successfully!');
+  
+  console.log('💾 MERGE: order_items...');
+  await bigquery.query(buildOrderItemsMergeQuery(projectId, source(staging.items, ['order_id', 'channel', 'line_item_id'])));
+  console.log('✅ Order items merged successfully!');
+  
+  for (const detail of staging.details.filter(detail => detail.tempTable)) {
+    console.log(`💾 MERGE: ${detail.tableId}...`);
+    await mergeStagingTable(projectId, detail.tableId, source(detail.tempTable, detail.keyColumns), detail.schema, detail.keyColumns);
+    console.log(`✅ ${detail.tableId} merged successfully!`);
+  }
+}
+
+/**
+ * キーごとにShopifyの更新日時が最も新しい行だけを返すサブクエリ（page_number列は除く）
+ *
+ * 再開をまたぐと後のページが古い内容の場合があるため、page_numberは同じ更新日時のときだけ使う
+ */
+function latestStagedRows(projectId, tempTable, keyColumns) {
+  return `(
+    SELECT * EXCEPT (page_number)
+    FROM \`${projectId}.andcore_main.${tempTable}\`
+    WHERE TRUE
+    QUALIFY ROW_NUMBER() OVER (PARTITION BY ${keyColumns.join(', ')} ORDER BY shopify_updated_at DESC, page_number DESC) = 1
+  )`;
+}
+
+/**
+ * 一時テーブル削除
+ */
+async function dropStagingTables(staging) {
+  console.log('🧹 Cleaning up temp tables...');
+  for (const table of listStagingTables(staging)) {
+    await bigquery.dataset('andcore_main').table(table.tempTable).delete();
+  }
+  console.log('✅ Cleanup complete!');
+}
+
+/**
+ * ordersへのMERGE文（source: 一時テーブル または UNNEST(@orders)）
+ */
+function buildOrdersMergeQuery(projectId, source) {
+  return `
+    MERGE \`${projectId}.andcore_main.orders\` T
+    USING ${source} S
+    ON T.order_id = S.order_id AND T.channel = S.channel
+    -- 保存済みより古い内容（Shopifyの updated_at が前）では上書きしない
+    WHEN MATCHED AND (T.shopify_updated_at IS NULL OR S.shopify_updated_at >= T.shopify_updated_at) THEN
+      UPDATE SET
+        order_number = S.order_number,
+        order_date = S.order_date,
+        fulfillment_date = S.fulfillment_date,
+        customer_name = S.customer_name,
+        ship_state = S.ship_state,
+        ship_city = S.ship_city,
+        ship_postal_code = S.ship_postal_code,
+        subtotal_amount = S.subtotal_amount,
+        tax_amount = S.tax_amount,
+        shipping_amount = S.shipping_amount,
+        discount_amount = S.discount_amount,
+        shipping_discount_amount = S.shipping_discount_amount,
+        gift_wrap_amount = S.gift_wrap_amount,
+        gift_wrap_tax_amount = S.gift_wrap_tax_amount,
+        total_amount = S.total_amount,
+        currency = S.currency,
+        payment_status = S.payment_status,
+        fulfillment_status = S.fulfillment_status,
+        is_cancelled = S.is_cancelled,
+        refunded_amount = S.refunded_amount,
+        net_sales_amount = S.net_sales_amount,
+        taxes_included = S.taxes_included,
+        tax_10_amount = S.tax_10_amount,
+        tax_8_amount = S.tax_8_amount,
+        discount_codes = S.discount_codes,
+        updated_at = S.updated_at,
+        shopify_updated_at = S.shopify_updated_at
+    WHEN NOT MATCHED THEN
+      INSERT (order_id, channel, account_name, order_number, order_date, 
+              fulfillment_date, customer_name, ship_state, ship_city, ship_postal_code,
+              subtotal_amount, tax_amount, shipping_amount,
+              discount_amount, shipping_discount_amount, gift_wrap_amount, gift_wrap_tax_amount,
+              total_amount, currency, payment_status, fulfillment_status, is_cancelled,
+              refunded_amount, net_sales_amount, taxes_included, tax_10_amount, tax_8_amount,
+              discount_codes, created_at, updated_at, shopify_updated_at)
+      VALUES (S.order_id, S.channel, S.account_name, S.order_number, S.order_date,
+              S.fulfillment_date, S.customer_name, S.ship_state, S.ship_city, S.ship_postal_code,
+              S.subtotal_amount, S.tax_amount, S.shipping_amount,
+              S.discount_amount, S.shipping_discount_amount, S.gift_wrap_amount, S.gift_wrap_tax_amount,
+              S.total_amount, S.currency, S.payment_status, S.fulfillment_status,
+              S.is_cancelled, S.refunded_amount, S.net_sales_amount, S.taxes_included,
+              S.tax_10_amount, S.tax_8_amount, S.discount_codes, S.created_at, S.updated_at,
+              S.shopify_updated_at)
+  `;
+}
+
+/**
+ * order_itemsへのMERGE文
+ */
+function buildOrderItemsMergeQuery(projectId, source) {
+  return `
+    MERGE \`${projectId}.andcore_main.order_items\` T
+    USING ${source} S
+    ON T.order_id = S.order_id AND T.channel = S.channel AND T.line_item_id = S.line_item_id
+    -- 保存済みより古い内容（Shopifyの updated_at が前）では上書きしない
+    WHEN MATCHED AND (T.shopify_updated_at IS NULL OR S.shopify_updated_at >= T.shopify_updated_at) THEN
+      UPDATE SET
+        sku = S.sku,
+        product_name = S.product_name,
+        quantity = S.quantity,
+        unit_price = S.unit_price,
+        line_total = S.line_total,
+        discount_amount = S.discount_amount,
+        gift_wrap_amount = S.gift_wrap_amount,
+        discounted_line_total = S.discounted_line_total,
+        tax_amount = S.tax_amount,
+        tax_rate = S.tax_rate,
+        discount_codes = S.discount_codes,
+        -- Bulk Operationでは明細の返金が取得できない（NULL）ため既存の値を維持
+        refunded_quantity = COALESCE(S.refunded_quantity, T.refunded_quantity),
+        refunded_amount = COALESCE(S.refunded_amount, T.refunded_amount),
+        net_sales_amount = COALESCE(S.net_sales_amount,
+          S.line_total - S.discount_amount - COALESCE(T.refunded_amount, 0)),
+        currency = S.currency,
+        quantity_fulfilled = S.quantity_fulfilled,
+        quantity_unfulfilled = S.quantity_unfulfilled,
+        shopify_updated_at = S.shopify_updated_at
+    WHEN NOT MATCHED THEN
+      INSERT (order_id, channel, line_item_id, sku, product_name, quantity,
+              unit_price, line_total, discount_amount, gift_wrap_amount,
+              discounted_line_total, tax_amount, tax_rate, discount_codes,
+              refunded_quantity, refunded_amount, net_sales_amount,
+              currency, quantity_fulfilled, quantity_unfulfilled, created_at, shopify_updated_at)
+      VALUES (S.order_id, S.channel, S.line_item_id, S.sku, S.product_name, S.quantity,
+              S.unit_price, S.line_total, S.discount_amount, S.gift_wrap_amount,
+              S.discounted_line_total, S.tax_amount, S.tax_rate, S.discount_codes,
+              S.refunded_quantity, S.refunded_amount,
+              COALESCE(S.net_sales_amount, S.line_total - S.discount_amount),
+              S.currency, S.quantity_fulfilled, S.quantity_unfulfilled, S.created_at, S.shopify_updated_at)
+  `;
+}
+
+/**
+ * 一時テーブルから本テーブルへMERGE（本テーブルが無ければ同じスキーマで作成）
+ */
+async function mergeStagingTable(projectId, tableId, source, schema, keyColumns) {
+  await ensureTable(tableId, schema);
+  await bigquery.query(buildMergeQuery(projectId, tableId, source, schema, keyColumns));
+}
+
+/**
+ * スキーマの全列をキーで突き合わせるMERGE文（ソース内の重複はcreated_atが新しい行を採用）
+ *
+ * shopify_updated_at 列がある場合は、保存済みより古い内容では上書きしない
+ */
+function buildMergeQuery(projectId, tableId, source, schema, keyColumns) {
+  const columns = schema.map(field => field.name);
+  const updateColumns = columns.filter(column => !keyColumns.includes(column) && column !== 'created_at');
+  const matchedCondition = columns.includes('shopify_updated_at')
+    ? ' AND (T.shopify_updated_at IS NULL OR S.shopify_updated_at >= T.shopify_updated_at)'
+    : '';
+  
+  return `
+    MERGE \`${projectId}.andcore_main.${tableId}\` T
+    USING (
+      SELECT * FROM ${source}
+      WHERE TRUE
+      QUALIFY ROW_NUMBER() OVER (PARTITION BY ${keyColumns.join(', ')} ORDER BY created_at DESC) = 1
+    ) S
+    ON ${keyColumns.map(column => `T.${column} = S.${column}`).join(' AND ')}
+    WHEN MATCHED${matchedCondition} THEN
+      UPDATE SET ${updateColumns.map(column => `${column} = S.${column}`).join(', ')}
+    WHEN NOT MATCHED THEN
+      INSERT (${columns.join(', ')})
+      VALUES (${columns.map(column => `S.${column}`).join(', ')})
+  `;
+}
+
+/**
+ * 行の配列をクエリパラメータで渡す場合の型（ARRAY<STRUCT<...>>）
+ */
+function rowsParamType(schema) {
+  return [Object.fromEntries(schema.map(field => [field.name, QUERY_PARAM_TYPES[field.type] || field.type]))];
+}
+
+/**
+ * テーブル作成（存在しない場合のみ）
+ */
+async function ensureTable(tableId, schema) {
+  const [exists] = await bigquery.dataset('andcore_main').table(tableId).exists();
+  if (exists) return;
+  
+  await bigquery.dataset('andcore_main').createTable(tableId, { schema });
+  console.log(`🧱 Created table: ${tableId}`);
+}
+
+/**
+ * orders / order_items / 返金・割引・配送料・出荷テーブルに後から追加した列を反映
+ */
+async function ensureOrderColumns() {
+  await ensureColumns('orders', ORDERS_ADDED_COLUMNS);
+  await ensureColumns('order_items', ORDER_ITEMS_ADDED_COLUMNS);
+  
+  // 明細テーブルは無い場合はMERGE時にこちらのスキーマで作成
+  // （order_shipmentsはAmazonの出荷同期が先に作成している場合がある）
+  for (const detail of ORDER_DETAIL_TABLES) {
+    const [exists] = await bigquery.dataset('andcore_main').table(detail.tableId).exists();
+    if (exists) {
+      await ensureColumns(detail.tableId, detail.addedColumns);
+    }
+  }
+}
+
+/**
+ * 列追加（既存テーブルに無い列のみ追加）
+ */
+async function ensureColumns(tableId, fields) {
+  const table = bigquery.dataset('andcore_main').table(tableId);
+  const [metadata] = await table.getMetadata();
+  const existing = new Set(metadata.schema.fields.map(field => field.name));
+  const missing = fields.filter(field => !existing.has(field.name));
+
+  if (missing.length === 0) return;
+
+  await table.setMetadata({
+    schema: { fields: [...metadata.schema.fields, ...missing] }
+  });
+  console.log(`🧱 Added columns to ${tableId}: ${missing.map(field => field.name).join(', ')}`);
+}
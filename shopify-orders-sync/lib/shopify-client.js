@@ -0,0 +1,197 @@
+// このファイルは shopify-client/index.js のコピーです。直接編集せず、元ファイルを修正して
+// node scripts/vendor-shared-modules.js を実行してください
+
+/**
+ * Shopify Admin API 共通クライアント
+ *
+ * 機能:
+ * - REST: X-Shopify-Shop-Api-Call-Limit の使用率が高い場合はバケットが空くまで待機
+ * - GraphQL: THROTTLED はクエリコスト分のポイントが戻るまで待って再試行
+ * - GraphQL: 残りポイントが今回のクエリコストより少なければ、次の呼び出し前に回復を待つ
+ * - 429 は Retry-After、5xx・接続エラーは指数バックオフで再試行
+ * - 設定済みのアカウント番号一覧（SHOPIFY_STORE_{n}）
+ *
+ * 使い方:
+ *   const { shopifyGraphql, fetchAllNodes } = require('./lib/shopify-client');
+ *   const data = await shopifyGraphql(store, accessToken, '{ shop { name } }');
+ */
+
+const fetch = require('node-fetch');
+
+const SHOPIFY_API_VERSION = '2024-10';
+
+// レート制限・再試行設定
+const CALL_LIMIT_THRESHOLD = 0.8;   // X-Shopify-Shop-Api-Call-Limit の使用率がこれ以上なら待機
+const MAX_RETRIES = 5;              // 429 / 5xx / 接続エラー / THROTTLED の再試行回数
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * 設定済みのアカウント番号一覧（SHOPIFY_STORE_{n}）
+ */
+function listConfiguredAccounts() {
+  const accountNums = Object.keys(process.env)
+    .map(key => key.match(/^SHOPIFY_STORE_(\d+)$/))
+    .filter(Boolean)
+    .map(match => match[1])
+    .sort((a, b) => a - b);
+
+  if (accountNums.length === 0 && process.env.SHOPIFY_STORE) {
+    return ['1'];
+  }
+  return accountNums;
+}
+
+/**
+ * Shopify GraphQL Admin API呼び出し（THROTTLED は復元を待って再試行）
+ */
+async function shopifyGraphql(store, accessToken, query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await shopifyFetch(`https://${store}.myshopify.com/admin/api/${SHOPIFY_API_VERSION}/graphql.json`, {
+      method: 'POST',
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ query, variables })
+    });
+
+    const json = await response.json();
+    const cost = json.extensions?.cost;
+
+    if (!json.errors) {
+      await waitForQueryCost(cost);
+      return json.data;
+    }
+
+    // GraphQLのレート制限は200 + THROTTLED で返る（クエリコスト分のポイントが戻るまで待つ）
+    const isThrottled = json.errors.some(error => error.extensions?.code === 'THROTTLED');
+    if (isThrottled && attempt < MAX_RETRIES) {
+      const restoreSeconds = cost
+        ? (cost.requestedQueryCost - cost.throttleStatus.currentlyAvailable) / cost.throttleStatus.restoreRate
+        : 0;
+      const waitMs = Math.max(restoreSeconds * 1000, BASE_BACKOFF_MS * 2 ** attempt);
+
+      console.log(`⏳ GraphQL throttled. Retrying in ${Math.ceil(waitMs / 1000)}s (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(waitMs);
+      continue;
+    }
+
+    throw new Error(`Shopify GraphQL Error: ${JSON.stringify(json.errors)}`);
+  }
+}
+
+/**
+ * 残りポイントが今回のクエリコストより少ない場合は、同じコストのクエリを実行できるまで待つ
+ * （ページ送りなど同じクエリを続けて呼ぶ場合に THROTTLED を避ける）
+ */
+async function waitForQueryCost(cost) {
+  if (!cost || !cost.throttleStatus) return;
+
+  const { currentlyAvailable, restoreRate } = cost.throttleStatus;
+  const shortage = cost.requestedQueryCost - currentlyAvailable;
+  if (shortage <= 0 || !restoreRate) return;
+
+  const waitMs = shortage / restoreRate * 1000;
+  console.log(`⏳ GraphQL cost ${cost.requestedQueryCost}, available ${currentlyAvailable}. Waiting ${Math.ceil(waitMs / 1000)}s`);
+  await sleep(waitMs);
+}
+
+/**
+ * コネクションを最後のページまで取得
+ *
+ * getConnection: レスポンスからコネクション（edges, pageInfo）を取り出す関数
+ */
+async function fetchAllNodes(store, accessToken, query, variables, getConnection) {
+  const nodes = [];
+  let after = null;
+
+  for (;;) {
+    const data = await shopifyGraphql(store, accessToken, query, { ...variables, after });
+    const connection = getConnection(data);
+
+    nodes.push(...connection.edges.map(edge => edge.node));
+
+    if (!connection.pageInfo.hasNextPage) {
+      return nodes;
+    }
+    after = connection.pageInfo.endCursor;
+  }
+}
+
+/**
+ * Shopify Admin API呼び出し（レート制限・再試行対応）
+ *
+ * - X-Shopify-Shop-Api-Call-Limit の使用率が高い場合はバケットが空くまで待機
+ * - 429 は Retry-After、5xx・接続エラーは指数バックオフで再試行
+ * - 再試行しても失敗した場合はステータスと本文を含むエラー
+ */
+async function shopifyFetch(url, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (error) {
+      if (attempt >= MAX_RETRIES) {
+        throw new Error(`Shopify API connection failed after ${MAX_RETRIES} retries: ${error.message}`);
+      }
+      const waitMs = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+      console.log(`⚠️ Shopify API connection error (${error.message}). Retrying in ${Math.ceil(waitMs / 1000)}s (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (response.ok) {
+      await waitForCallLimit(response.headers.get('X-Shopify-Shop-Api-Call-Limit'));
+      return response;
+    }
+
+    const isRetryable = response.status === 429 || response.status >= 500;
+    if (isRetryable && attempt < MAX_RETRIES) {
+      const retryAfter = parseFloat(response.headers.get('Retry-After'));
+      const waitMs = response.status === 429 && retryAfter > 0
+        ? retryAfter * 1000
+        : Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+
+      console.log(`⚠️ Shopify API ${response.status}. Retrying in ${Math.ceil(waitMs / 1000)}s (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(waitMs);
+      continue;
+    }
+
+    const errorText = await response.text();
+    const retried = attempt > 0 ? ` (after ${attempt} retries)` : '';
+    const error = new Error(`Shopify API Error: ${response.status}${retried} - ${errorText}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+}
+
+/**
+ * REST APIのバケット使用率（例: '32/40'）が高い場合は半分まで空くのを待つ
+ * （バケット40は2回/秒、Shopify Plusの400は20回/秒で回復）
+ */
+async function waitForCallLimit(callLimitHeader) {
+  const [used, limit] = (callLimitHeader || '').split('/').map(Number);
+  if (!limit || used / limit < CALL_LIMIT_THRESHOLD) return;
+
+  const leakPerSecond = limit / 20;
+  const waitMs = (used - limit / 2) / leakPerSecond * 1000;
+
+  console.log(`⏳ API call limit ${used}/${limit}. Waiting ${Math.ceil(waitMs / 1000)}s`);
+  await sleep(waitMs);
+}
+
+/**
+ * スリープ
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  SHOPIFY_API_VERSION,
+  listConfiguredAccounts,
+  shopifyGraphql,
+  fetchAllNodes,
+  shopifyFetch
+};
@@ -0,0 +1,242 @@
+/**
+ * Amazon SP-API 共通クライアント
+ *
+ * 機能:
+ * - LWAアクセストークンのキャッシュ（有効期限の60秒前まで再利用）
+ * - オペレーションごとのトークンバケットでレート制限
+ * - レスポンスの x-amzn-RateLimit-Limit でレートを更新
+ * - 429 / 5xx は上限付きの指数バックオフで再試行
+ * - エラーにリクエストID（x-amzn-RequestId）を含める
+ *
+ * 使い方:
+ *   const { callSpApi } = require('./lib/sp-api-client');
+ *   const config = { clientId, clientSecret, refreshToken, endpoint: 'sellingpartnerapi-fe.amazon.com' };
+ *   const response = await callSpApi(config, 'getOrders', 'GET', '/orders/v0/orders?...');
+ */
+
+const https = require('https');
+const querystring = require('querystring');
+
+// オペレーションごとのレート制限（SP-APIドキュメントの既定値: rate=回/秒, burst=最大連続回数）
+const OPERATION_RATE_LIMITS = {
+  getOrders: { rate: 0.0167, burst: 20 },
+  getOrderItems: { rate: 0.5, burst: 30 },
+  createReport: { rate: 0.0167, burst: 15 },
+  getReport: { rate: 2, burst: 15 },
+  getReports: { rate: 0.0222, burst: 10 },
+  getReportDocument: { rate: 0.0167, burst: 15 },
+  getInventorySummaries: { rate: 2, burst: 2 }
+};
+const DEFAULT_RATE_LIMIT = { rate: 1, burst: 1 };
+
+// 再試行設定
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+// トークンは有効期限のこの時間前に更新する
+const TOKEN_REFRESH_MARGIN_MS = 60000;
+
+// インスタンスが再利用される間は保持（キー: clientId + refreshToken）
+const tokenCache = new Map();
+// キー: clientId + endpoint + オペレーション名
+const rateLimiters = new Map();
+
+/**
+ * LWA Access Token取得（キャッシュ付き）
+ */
+async function getAccessToken(config) {
+  const cacheKey = `${config.clientId}:${config.refreshToken}`;
+  const cached = tokenCache.get(cacheKey);
+
+  if (cached && (cached.promise || cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now())) {
+    return cached.promise || cached.token;
+  }
+
+  // 同時に呼ばれた場合も取得は1回にする
+  const promise = requestAccessToken(config)
+    .then(({ token, expiresIn }) => {
+      tokenCache.set(cacheKey, { token, expiresAt: Date.now() + expiresIn * 1000 });
+      return token;
+    })
+    .catch(error => {
+      tokenCache.delete(cacheKey);
+      throw error;
+    });
+
+  tokenCache.set(cacheKey, { promise });
+  return promise;
+}
+
+/**
+ * LWAトークンエンドポイント呼び出し（フォーム形式でPOST）
+ */
+function requestAccessToken(config) {
+  return new Promise((resolve, reject) => {
+    const postData = querystring.stringify({
+      grant_type: 'refresh_token',
+      refresh_token: config.refreshToken,
+      client_id: config.clientId,
+      client_secret: config.clientSecret
+    });
+
+    const options = {
+      hostname: 'api.amazon.com',
+      path: '/auth/o2/token',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          const json = JSON.parse(data);
+          resolve({ token: json.access_token, expiresIn: json.expires_in || 3600 });
+        } else {
+          reject(new Error(`Token取得失敗 (${res.statusCode}): ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * SP-API呼び出し（レート制限・再試行対応）
+ *
+ * operation: レート制限の単位となるオペレーション名（例: 'getOrders'）
+ * body: オブジェクトの場合はJSONとして送信
+ */
+async function callSpApi(config, operation, method, path, body = null) {
+  const limiter = getRateLimiter(config, operation);
+  const payload = body === null ? null : JSON.stringify(body);
+
+  for (let attempt = 0; ; attempt++) {
+    await takeToken(limiter);
+
+    const accessToken = await getAccessToken(config);
+    const response = await sendRequest(config.endpoint, accessToken, method, path, payload);
+
+    // 実際に適用されているレートで以降の呼び出しを調整
+    const limitHeader = parseFloat(response.headers['x-amzn-ratelimit-limit']);
+    if (limitHeader > 0) {
+      limiter.rate = limitHeader;
+    }
+
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      return response.data ? JSON.parse(response.data) : {};
+    }
+
+    const requestId = response.headers['x-amzn-requestid'] || 'unknown';
+
+    if (RETRYABLE_STATUS_CODES.includes(response.statusCode) && attempt < MAX_RETRIES) {
+      const backoff = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+      let waitMs = backoff;
+      if (response.statusCode === 429) {
+        // バケットが空になったとみなし、少なくとも1回分の補充を待つ
+        limiter.tokens = 0;
+        waitMs = Math.max(backoff, 1000 / limiter.rate);
+      }
+
+      console.log(`SP-API ${operation} ${response.statusCode} (requestId: ${requestId})。${Math.round(waitMs / 1000)}秒後に再試行 (${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(waitMs + Math.random() * 1000);
+      continue;
+    }
+
+    const error = new Error(`SP-API Error ${response.statusCode} ${operation} (requestId: ${requestId}): ${response.data}`);
+    error.statusCode = response.statusCode;
+    error.requestId = requestId;
+    throw error;
+  }
+}
+
+/**
+ * HTTPSリクエスト送信（ステータス・ヘッダー・本文を返す）
+ */
+function sendRequest(endpoint, accessToken, method, path, payload) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: endpoint,
+      path: path,
+      method: method,
+      headers: {
+        'x-amz-access-token': accessToken,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    if (payload !== null) {
+      options.headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, data });
+      });
+    });
+
+    req.on('error', reject);
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * オペレーションごとのトークンバケット取得（無ければ作成）
+ */
+function getRateLimiter(config, operation) {
+  const key = `${config.clientId}:${config.endpoint}:${operation}`;
+
+  if (!rateLimiters.has(key)) {
+    const { rate, burst } = OPERATION_RATE_LIMITS[operation] || DEFAULT_RATE_LIMIT;
+    rateLimiters.set(key, { rate, burst, tokens: burst, updatedAt: Date.now() });
+  }
+
+  return rateLimiters.get(key);
+}
+
+/**
+ * トークンを1つ消費（足りない場合は補充されるまで待機）
+ */
+async function takeToken(limiter) {
+  for (;;) {
+    const now = Date.now();
+    limiter.tokens = Math.min(limiter.burst, limiter.tokens + (now - limiter.updatedAt) / 1000 * limiter.rate);
+    limiter.updatedAt = now;
+
+    if (limiter.tokens >= 1) {
+      limiter.tokens -= 1;
+      return;
+    }
+
+    await sleep((1 - limiter.tokens) / limiter.rate * 1000);
+  }
+}
+
+/**
+ * スリープ
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  getAccessToken,
+  callSpApi,
+  OPERATION_RATE_LIMITS
+};
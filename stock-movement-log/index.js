@@ -0,0 +1,249 @@
+/**
+ * 在庫移動ログ 共通モジュール（stock_movement_log）
+ *
+ * 機能:
+ * - 在庫同期の一時テーブル（今回の在庫スナップショット）と inventory の保存済み行を (sku, location) で比較
+ * - 販売可能在庫（available_quantity）が変わった行を stock_movement_log に記録
+ *   - 増加: 'in' / 減少: 'out' / inventory に行が無い（初回取込）: 'adjustment'
+ * - 同期したロケーション（syncedLocations / syncedLocationPrefixes）の保存済み行のうち、
+ *   今回のスナップショットに無いものは在庫0への減少として記録し、inventory も0に更新（sync_status: 'missing'）
+ * - ログ記録と inventory の MERGE は同じトランザクションで実行（MERGE失敗時にログだけ残らない）
+ * - 他の在庫同期とのトランザクション競合で中断された場合は再実行
+ * - 実行ID（run_id）と実行元の関数名（source_function）を記録
+ *
+ * 使い方:
+ *   const { createRunId, mergeWithMovementLog } = require('./lib/stock-movement-log');
+ *   const runId = createRunId('syncAmazonFBAInventory');
+ *   const movements = await mergeWithMovementLog(bigquery, {
+ *     datasetId, tempTableId, mergeQuery, sourceFunction: 'syncAmazonFBAInventory', runId,
+ *     syncedLocations: ['FBA-JP-1']
+ *   });
+ */
+
+const LOG_TABLE_ID = 'stock_movement_log';
+const INVENTORY_TABLE_ID = 'inventory';
+
+const LOG_SCHEMA = [
+  { name: 'log_id', type: 'STRING', mode: 'REQUIRED' },
+  { name: 'sku', type: 'STRING' },
+  { name: 'location', type: 'STRING' },
+  { name: 'movement_type', type: 'STRING' },      // 'in', 'out', 'adjustment'
+  { name: 'quantity_change', type: 'INTEGER' },
+  { name: 'reason', type: 'STRING' },
+  { name: 'quantity_before', type: 'INTEGER' },
+  { name: 'quantity_after', type: 'INTEGER' },
+  { name: 'created_at', type: 'TIMESTAMP' },
+  { name: 'created_by', type: 'STRING' },
+  { name: 'source_function', type: 'STRING' },    // 実行元の関数名
+  { name: 'run_id', type: 'STRING' }              // 実行ID（1回の同期で共通）
+];
+
+// 仕様書の初期定義に無い列（既存テーブルには後から追加）
+const ADDED_COLUMNS = ['source_function', 'run_id'];
+
+// トランザクション競合（同時に実行された在庫同期）時の再実行
+const MAX_CONFLICT_RETRIES = 5;
+const CONFLICT_RETRY_BASE_MS = 5000;
+
+// 同期したロケーションの行（スナップショットに無い行を在庫0にする範囲）
+const SYNCED_LOCATION_CONDITION = `(
+      T.location IN UNNEST(@syncedLocations)
+      OR EXISTS (SELECT 1 FROM UNNEST(@syncedLocationPrefixes) AS prefix WHERE STARTS_WITH(T.location, prefix))
+    )`;
+
+/**
+ * 実行ID作成（{関数名}_{開始時刻のミリ秒}）
+ */
+function createRunId(sourceFunction) {
+  return `${sourceFunction}_${Date.now()}`;
+}
+
+/**
+ * 在庫移動ログを記録してから inventory を MERGE（同じトランザクション）
+ *
+ * - tempTableId: 今回の在庫スナップショット（sku, location, available_quantity を含む一時テーブル）
+ * - mergeQuery: 一時テーブルから inventory への MERGE 文
+ * - syncedLocations: 全件取得できたロケーション（スナップショットに無い行を在庫0にする範囲）
+ * - syncedLocationPrefixes: 同上（前方一致。無効化・名前変更されたロケーションの行も対象にする場合）
+ * 戻り値: 記録した在庫移動の件数
+ */
+async function mergeWithMovementLog(bigquery, {
+  datasetId, tempTableId, mergeQuery, sourceFunction, runId, syncedLocations = [], syncedLocationPrefixes = []
+}) {
+  await ensureLogTable(bigquery, datasetId);
+
+  const query = `
+    BEGIN TRANSACTION;
+
+    ${buildMovementInsert(datasetId, tempTableId)};
+
+    ${buildMissingMovementInsert(datasetId, tempTableId)};
+
+    ${mergeQuery.trim().replace(/;$/, '')};
+
+    ${buildMissingInventoryUpdate(datasetId, tempTableId)};
+
+    COMMIT TRANSACTION;
+  `;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await bigquery.query({
+        query,
+        params: { sourceFunction, runId, syncedLocations, syncedLocationPrefixes },
+        types: { syncedLocations: ['STRING'], syncedLocationPrefixes: ['STRING'] }
+      });
+      break;
+    } catch (error) {
+      if (!isTransactionConflict(error) || attempt >= MAX_CONFLICT_RETRIES) throw error;
+
+      // トランザクションはロールバック済みのため、そのまま再実行できる
+      const waitMs = CONFLICT_RETRY_BASE_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 1000);
+      console.warn(`⚠️ 他の在庫同期とトランザクションが競合しました。${waitMs / 1000}秒後に再実行します（${attempt}/${MAX_CONFLICT_RETRIES}）`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  const [[{ movements }]] = await bigquery.query({
+    query: `SELECT COUNT(*) AS movements FROM \`${datasetId}.${LOG_TABLE_ID}\` WHERE run_id = @runId`,
+    params: { runId }
+  });
+
+  console.log(`📒 在庫移動ログ: ${movements}件（run_id: ${runId}）`);
+  return movements;
+}
+
+/**
+ * 同じテーブルを更新する別のトランザクション・DMLとの競合エラーか
+ */
+function isTransactionConflict(error) {
+  return /concurrent update|could not serialize access/i.test(error.message || '');
+}
+
+/**
+ * 在庫移動ログのINSERT文（一時テーブルと inventory の差分）
+ *
+ * 一時テーブルに同じ行が重複している場合があるため DISTINCT で比較
+ */
+function buildMovementInsert(datasetId, tempTableId) {
+  return `
+    INSERT INTO \`${datasetId}.${LOG_TABLE_ID}\` (
+      log_id, sku, location,
+      movement_type, quantity_change, reason,
+      quantity_before, quantity_after,
+      created_at, created_by, source_function, run_id
+    )
+    SELECT
+      GENERATE_UUID(),
+      S.sku,
+      S.location,
+      CASE
+        WHEN T.sku IS NULL THEN 'adjustment'
+        WHEN S.quantity_after > IFNULL(T.available_quantity, 0) THEN 'in'
+        ELSE 'out'
+      END,
+      S.quantity_after - IFNULL(T.available_quantity, 0),
+      IF(T.sku IS NULL, '初回取込（inventoryに行なし）', '在庫スナップショット差分'),
+      IFNULL(T.available_quantity, 0),
+      S.quantity_after,
+      CURRENT_TIMESTAMP(),
+      'system',
+      @sourceFunction,
+      @runId
+    FROM (
+      SELECT DISTINCT sku, location, IFNULL(available_quantity, 0) AS quantity_after
+      FROM \`${datasetId}.${tempTableId}\`
+    ) S
+    LEFT JOIN \`${datasetId}.${INVENTORY_TABLE_ID}\` T
+      ON T.sku = S.sku AND T.location = S.location
+    WHERE S.quantity_after != IFNULL(T.available_quantity, 0)
+  `;
+}
+
+/**
+ * スナップショットに無い行（同期したロケーションのみ）の在庫移動ログINSERT文
+ *
+ * 商品の削除・APIの返却対象外になった行も、在庫0への変化として記録する
+ */
+function buildMissingMovementInsert(datasetId, tempTableId) {
+  return `
+    INSERT INTO \`${datasetId}.${LOG_TABLE_ID}\` (
+      log_id, sku, location,
+      movement_type, quantity_change, reason,
+      quantity_before, quantity_after,
+      created_at, created_by, source_function, run_id
+    )
+    SELECT
+      GENERATE_UUID(),
+      T.sku,
+      T.location,
+      IF(T.available_quantity > 0, 'out', 'in'),
+      -T.available_quantity,
+      '在庫スナップショットに無い（0に更新）',
+      T.available_quantity,
+      0,
+      CURRENT_TIMESTAMP(),
+      'system',
+      @sourceFunction,
+      @runId
+    FROM \`${datasetId}.${INVENTORY_TABLE_ID}\` T
+    WHERE ${SYNCED_LOCATION_CONDITION}
+      AND IFNULL(T.available_quantity, 0) != 0
+      AND NOT EXISTS (
+        SELECT 1 FROM \`${datasetId}.${tempTableId}\` S
+        WHERE S.sku = T.sku AND S.location = T.location
+      )
+  `;
+}
+
+/**
+ * スナップショットに無い行（同期したロケーションのみ）を在庫0に更新するUPDATE文
+ */
+function buildMissingInventoryUpdate(datasetId, tempTableId) {
+  return `
+    UPDATE \`${datasetId}.${INVENTORY_TABLE_ID}\` T
+    SET
+      available_quantity = 0,
+      reserved_quantity = 0,
+      inbound_quantity = 0,
+      total_quantity = 0,
+      last_updated = CURRENT_TIMESTAMP(),
+      sync_status = 'missing'
+    WHERE ${SYNCED_LOCATION_CONDITION}
+      AND IFNULL(T.sync_status, '') != 'missing'
+      AND NOT EXISTS (
+        SELECT 1 FROM \`${datasetId}.${tempTableId}\` S
+        WHERE S.sku = T.sku AND S.location = T.location
+      )
+  `;
+}
+
+/**
+ * stock_movement_log 作成（存在しない場合）・後から追加した列の反映
+ */
+async function ensureLogTable(bigquery, datasetId) {
+  const table = bigquery.dataset(datasetId).table(LOG_TABLE_ID);
+  const [exists] = await table.exists();
+
+  if (!exists) {
+    await bigquery.dataset(datasetId).createTable(LOG_TABLE_ID, { schema: LOG_SCHEMA });
+    console.log(`🧱 Created table: ${LOG_TABLE_ID}`);
+    return;
+  }
+
+  const [metadata] = await table.getMetadata();
+  const existing = new Set(metadata.schema.fields.map(field => field.name));
+  const missing = LOG_SCHEMA.filter(field => ADDED_COLUMNS.includes(field.name) && !existing.has(field.name));
+
+  if (missing.length === 0) return;
+
+  await table.setMetadata({
+    schema: { fields: [...metadata.schema.fields, ...missing] }
+  });
+  console.log(`🧱 Added columns to ${LOG_TABLE_ID}: ${missing.map(field => field.name).join(', ')}`);
+}
+
+module.exports = {
+  createRunId,
+  mergeWithMovementLog
+};